@@ -1,6 +1,7 @@
 // middleware/authMiddleware.js
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const authTokenService = require('../services/authTokenService');
 
 const authMiddleware = async (req, res, next) => {
     try {
@@ -15,8 +16,17 @@ const authMiddleware = async (req, res, next) => {
         }
 
         // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+        const decoded = authTokenService.verifyAccessToken(token);
         
+        // The login session must still be open (logout/revocation take effect immediately)
+        const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+        if (!session || !session.isActive()) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Session has ended, please log in again' 
+            });
+        }
+
         // Find user by ID from token
         const user = await User.findById(decoded.id).select('-password');
         if (!user) {
@@ -26,10 +36,27 @@ const authMiddleware = async (req, res, next) => {
             });
         }
 
+        if (user.isActive === false) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Account has been deactivated' 
+            });
+        }
+
         // Add user to request object
         req.user = user;
+        req.authSession = session;
         next();
     } catch (error) {
+        // Expired access tokens are routine: the client should call /api/auth/refresh
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Token has expired',
+                code: 'TOKEN_EXPIRED'
+            });
+        }
+
         console.error('Auth middleware error:', error);
         res.status(401).json({ 
             success: false, 
@@ -0,0 +1,53 @@
+// middleware/capabilityMiddleware.js
+const Role = require('../models/Role');
+
+// Capabilities of the logged-in user's role, loaded once per request
+const loadCapabilities = async (req) => {
+    if (!req.capabilities) {
+        req.capabilities = await Role.getCapabilities(req.user.role);
+    }
+    return req.capabilities;
+};
+
+const hasCapability = async (req, capability) => {
+    const capabilities = await loadCapabilities(req);
+    return capabilities.includes(capability);
+};
+
+// Requires every listed capability; use after authMiddleware
+const capabilityMiddleware = (...required) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        try {
+            const capabilities = await loadCapabilities(req);
+            const missing = required.filter(capability => !capabilities.includes(capability));
+
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Insufficient permissions',
+                    missing
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Capability middleware error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Could not check permissions'
+            });
+        }
+    };
+};
+
+capabilityMiddleware.hasCapability = hasCapability;
+capabilityMiddleware.loadCapabilities = loadCapabilities;
+
+module.exports = capabilityMiddleware;
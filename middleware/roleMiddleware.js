@@ -1,5 +1,8 @@
 // middleware/roleMiddleware.js
+// allowedRoles: a role name or an array of role names
 const roleMiddleware = (allowedRoles) => {
+    const roles = Array.isArray(allowedRoles) ? allowedRoles : [allowedRoles];
+
     return (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
@@ -8,7 +11,7 @@ const roleMiddleware = (allowedRoles) => {
             });
         }
 
-        if (!allowedRoles.includes(req.user.role)) {
+        if (!roles.includes(req.user.role)) {
             return res.status(403).json({
                 success: false,
                 message: 'Insufficient permissions'
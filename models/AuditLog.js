@@ -0,0 +1,63 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// One entry per mutating action (written by auditService, never edited)
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    // Snapshot so the entry still reads correctly if the user changes or is deactivated
+    actorName: {
+        type: String,
+        default: 'system'
+    },
+    actorRole: {
+        type: String
+    },
+    // "<entity>.<verb>", e.g. student.update, permission.delete-all
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    entityType: {
+        type: String,
+        enum: ['student', 'card', 'card-job', 'template', 'import-profile', 'permission', 'user', 'role', 'invitation', 'session'],
+        required: true
+    },
+    entityId: {
+        type: String
+    },
+    // Human-readable target, e.g. a student ID or template name
+    entityLabel: {
+        type: String
+    },
+    // Top-level fields that changed
+    changes: [{
+        _id: false,
+        field: { type: String },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed }
+    }],
+    // Action-specific details (counts, filenames, reasons)
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
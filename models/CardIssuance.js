@@ -0,0 +1,99 @@
+// models/CardIssuance.js
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const cardIssuanceSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true,
+        index: true
+    },
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Template'
+    },
+    // Saved template layout version (null when request coordinates were used)
+    layoutVersion: {
+        type: Number,
+        default: null
+    },
+    generatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    serialNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    reason: {
+        type: String,
+        enum: ['new', 'lost', 'damaged', 'class_change', 'other'],
+        default: 'new'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'superseded', 'revoked', 'expired'],
+        default: 'active'
+    },
+    // Set when the card was produced as part of a CSV batch
+    batchId: {
+        type: String
+    },
+    expiresAt: {
+        type: Date
+    },
+    supersededAt: {
+        type: Date
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revocationReason: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Status as of now (active cards past expiresAt count as expired)
+cardIssuanceSchema.methods.getEffectiveStatus = function () {
+    if (this.status === 'active' && this.expiresAt && this.expiresAt < new Date()) {
+        return 'expired';
+    }
+    return this.status;
+};
+
+// Generate the next serial number, e.g. CARD-2025-000042 (unique even for concurrent batch jobs)
+cardIssuanceSchema.statics.nextSerialNumber = async function () {
+    const year = new Date().getFullYear();
+    const counterName = `card-serial-${year}`;
+
+    // The first serial of the year continues after cards issued before the counter existed
+    const exists = await Counter.exists({ _id: counterName });
+    const issuedThisYear = exists ? 0 : await this.countDocuments({ createdAt: { $gte: new Date(year, 0, 1) } });
+    const seq = await Counter.next(counterName, issuedThisYear);
+
+    return `CARD-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// When a card issued at `issuedAt` stops being valid (CARD_VALIDITY_MONTHS, default 12; 0 = never)
+cardIssuanceSchema.statics.expiryFor = function (issuedAt = new Date()) {
+    const months = parseInt(process.env.CARD_VALIDITY_MONTHS ?? '12');
+    if (!(months > 0)) return undefined;
+
+    const expiresAt = new Date(issuedAt);
+    expiresAt.setMonth(expiresAt.getMonth() + months);
+    return expiresAt;
+};
+
+module.exports = mongoose.model('CardIssuance', cardIssuanceSchema);
@@ -0,0 +1,70 @@
+// models/CardJob.js
+const mongoose = require('mongoose');
+
+const cardJobSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Template'
+    },
+    outputFormat: {
+        type: String,
+        default: 'zip'
+    },
+    // Shared with the CardIssuance records produced by this job
+    batchId: {
+        type: String,
+        index: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    input: {
+        csvFilename: { type: String },
+        photoZipFilename: { type: String }
+    },
+    progress: {
+        stage: {
+            type: String,
+            enum: ['queued', 'parsing', 'uploading-photos', 'saving-students', 'rendering', 'packaging', 'done'],
+            default: 'queued'
+        },
+        total: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 },
+        succeeded: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 }
+    },
+    // Per-student problems (a photo failure alone does not stop the card)
+    failures: [{
+        _id: false,
+        student_id: { type: String },
+        name: { type: String },
+        stage: { type: String, enum: ['photo', 'save', 'render'] },
+        error: { type: String }
+    }],
+    artifact: {
+        path: { type: String },
+        filename: { type: String },
+        contentType: { type: String },
+        bytes: { type: Number },
+        expiresAt: { type: Date }
+    },
+    error: {
+        type: String
+    },
+    startedAt: {
+        type: Date
+    },
+    finishedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('CardJob', cardJobSchema);
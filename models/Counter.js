@@ -0,0 +1,32 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically (e.g. card serial numbers per year)
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+// Next value of the sequence; a new sequence continues from `start` (the last value already used)
+counterSchema.statics.next = async function (name, start = 0) {
+    const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+    if (counter) return counter.seq;
+
+    try {
+        await this.create({ _id: name, seq: start + 1 });
+        return start + 1;
+    } catch (error) {
+        // Another request created it first
+        if (error.code === 11000) return this.next(name, start);
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,64 @@
+// models/GateEvent.js
+const mongoose = require('mongoose');
+
+// A student physically leaving (check-out) or entering (check-in) campus, logged at the gate
+const gateEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['check-out', 'check-in'],
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true,
+        index: true
+    },
+    // Snapshot so the log stays readable if the student record changes
+    student_id: {
+        type: String,
+        required: true
+    },
+    // The permission the movement was matched to (none when the student left without one)
+    permission: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Permission',
+        index: true
+    },
+    withoutPermission: {
+        type: Boolean,
+        default: false
+    },
+    // How the student was identified
+    method: {
+        type: String,
+        enum: ['manual', 'card-scan'],
+        default: 'manual'
+    },
+    cardSerial: {
+        type: String
+    },
+    // Anything the guard was warned about (no permission, early departure, revoked card, ...)
+    warnings: [{
+        type: String
+    }],
+    note: {
+        type: String,
+        default: ''
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    at: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+gateEventSchema.index({ student: 1, at: -1 });
+
+module.exports = mongoose.model('GateEvent', gateEventSchema);
@@ -0,0 +1,54 @@
+// models/ImportProfile.js
+const mongoose = require('mongoose');
+
+// Column header in the school's file for each Student field
+const columnsSchema = new mongoose.Schema({
+    student_id: { type: String, trim: true },
+    name: { type: String, trim: true },
+    class: { type: String, trim: true },
+    level: { type: String, trim: true },
+    residence: { type: String, trim: true },
+    gender: { type: String, trim: true },
+    academic_year: { type: String, trim: true },
+    parent_phone: { type: String, trim: true }
+}, { _id: false });
+
+const importProfileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    columns: {
+        type: columnsSchema,
+        default: () => ({})
+    },
+    // XLSX only: worksheet to read (defaults to the first one)
+    sheetName: {
+        type: String,
+        trim: true
+    },
+    // 1-based row holding the column headers
+    headerRow: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema);
@@ -0,0 +1,80 @@
+// models/Invitation.js
+const mongoose = require('mongoose');
+
+// Admin-issued invitation; registration is only possible with a pending one
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        index: true
+    },
+    firstName: {
+        type: String,
+        trim: true
+    },
+    lastName: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    role: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    // SHA-256 of the one-time token sent in the invitation link
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    acceptedAt: {
+        type: Date
+    },
+    acceptedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date
+    },
+    delivery: {
+        channel: { type: String, enum: ['email', 'sms'] },
+        sentAt: { type: Date },
+        error: { type: String }
+    }
+}, {
+    timestamps: true
+});
+
+invitationSchema.methods.getStatus = function () {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt <= new Date()) return 'expired';
+    return 'pending';
+};
+
+invitationSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.tokenHash;
+        ret.status = doc.getStatus();
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,45 @@
+// models/LoginAttempt.js
+const mongoose = require('mongoose');
+
+// Every login attempt (failed ones drive per-IP throttling and the admin log)
+const loginAttemptSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        index: true
+    },
+    // Set when the email belongs to an account
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    success: {
+        type: Boolean,
+        default: false
+    },
+    reason: {
+        type: String,
+        enum: ['bad-password', 'unknown-user', 'bad-2fa-code', 'bad-reset-code', 'account-locked', 'ip-throttled', 'too-fast']
+    },
+    // Set when this failure locked the account
+    lockedUntil: {
+        type: Date
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+// Kept for 30 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,56 @@
+// models/PasswordReset.js
+const mongoose = require('mongoose');
+
+// Single-use reset code (only its hash is stored)
+const passwordResetSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    codeHash: {
+        type: String,
+        required: true
+    },
+    // Guesses so far; the code dies after MAX_ATTEMPTS
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date
+    },
+    channel: {
+        type: String,
+        enum: ['email', 'sms'],
+        default: 'email'
+    },
+    requestIp: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// Old codes are removed by MongoDB a day after expiry
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+passwordResetSchema.statics.MAX_ATTEMPTS = 5;
+
+// Counts a guess against the user's newest usable code and returns it (null when none is left).
+// Atomic so parallel guesses can't slip past MAX_ATTEMPTS.
+passwordResetSchema.statics.claimAttempt = function (userId) {
+    return this.findOneAndUpdate(
+        { user: userId, usedAt: null, expiresAt: { $gt: new Date() }, attempts: { $lt: this.MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { new: true, sort: { createdAt: -1 } }
+    );
+};
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
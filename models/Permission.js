@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// Lifecycle: pending (requested) → approved | rejected → departed → returned; pending/approved → cancelled
+const PERMISSION_STATUSES = ['pending', 'approved', 'rejected', 'departed', 'returned', 'cancelled'];
+
+// One entry per status change
+const statusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: PERMISSION_STATUSES, required: true },
+  from: { type: String, enum: PERMISSION_STATUSES },
+  at: { type: Date, default: Date.now },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String, default: '' }
+}, { _id: false });
+
+// A creation rule that was flagged or overridden (see permissionRuleService)
+const ruleFlagSchema = new mongoose.Schema({
+  rule: { type: String, required: true },
+  message: { type: String },
+  overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  overrideReason: { type: String },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One entry per overdue alert stage; the stage name is unique per permission
+const overdueAlertSchema = new mongoose.Schema({
+  stage: { type: String, enum: ['guardian-reminder', 'dod-escalation'], required: true },
+  sentAt: { type: Date, default: Date.now },
+  channel: { type: String, enum: ['sms', 'email'] },
+  recipients: [{ type: String }],
+  success: { type: Boolean, default: false },
+  messageId: { type: String },
+  error: { type: String },
+  // Failed sends are retried on later worker runs up to OVERDUE_MAX_ATTEMPTS
+  attempts: { type: Number, default: 0 },
+  // Set while a worker is sending this stage
+  claimedUntil: { type: Date }
+}, { _id: false });
 
 const permissionSchema = new mongoose.Schema({
   student: {
@@ -31,13 +68,43 @@ const permissionSchema = new mongoose.Schema({
   returnedAt: { type: Date },
   status: {
     type: String,
-    enum: ['returned', 'approved'],
-    default: 'approved'
+    enum: PERMISSION_STATUSES,
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   },
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  approvedAt: { type: Date },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: { type: Date },
+  rejectionReason: { type: String },
+  departedAt: { type: Date },
+  departedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  returnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: { type: Date },
+  cancellationReason: { type: String },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
   permissionNumber: {
     type: String,
     unique: true,
@@ -58,6 +125,18 @@ const permissionSchema = new mongoose.Schema({
     }
   },
   
+  // Rules flagged or overridden when the permission was created
+  flags: {
+    type: [ruleFlagSchema],
+    default: []
+  },
+
+  // Alerts sent by the overdue worker
+  overdueAlerts: {
+    type: [overdueAlertSchema],
+    default: []
+  },
+
   // SMS provider info
   smsProvider: {
     type: String,
@@ -68,6 +147,37 @@ const permissionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+permissionSchema.plugin(softDelete);
+
+permissionSchema.index({ status: 1, createdAt: -1 });
+
+// Who/when fields filled in for each status
+const STATUS_STAMPS = {
+  approved: { by: 'approvedBy', at: 'approvedAt', note: null },
+  rejected: { by: 'rejectedBy', at: 'rejectedAt', note: 'rejectionReason' },
+  departed: { by: 'departedBy', at: 'departedAt', note: null },
+  returned: { by: 'returnedBy', at: 'returnedAt', note: null },
+  cancelled: { by: 'cancelledBy', at: 'cancelledAt', note: 'cancellationReason' }
+};
+
+// Sets the status, stamps who/when and appends to the history (caller saves)
+permissionSchema.methods.recordStatus = function (status, userId, note = '', at = new Date()) {
+  const stamp = STATUS_STAMPS[status];
+  if (stamp) {
+    this[stamp.by] = userId;
+    this[stamp.at] = at;
+    if (stamp.note) this[stamp.note] = note;
+  }
+
+  this.statusHistory.push({ status, from: this.isNew ? undefined : this.status, at, by: userId, note });
+  this.status = status;
+  return this;
+};
+
+permissionSchema.statics.STATUSES = PERMISSION_STATUSES;
+// Approved but not yet back: the student is, or may be, off campus
+permissionSchema.statics.OUT_STATUSES = ['approved', 'departed'];
+
 // Generate permission number before save
 permissionSchema.pre('save', async function (next) {
   if (!this.permissionNumber || this.permissionNumber === 'null') {
@@ -86,7 +196,7 @@ permissionSchema.pre('save', async function (next) {
 
       const dailyCount = await mongoose.model('Permission').countDocuments({
         createdAt: { $gte: today, $lt: tomorrow }
-      });
+      }).setOptions({ withDeleted: true });
 
       this.permissionNumber = `PERM-${year}${month}${day}-${String(dailyCount + 1).padStart(3, '0')}-${random}`;
     } catch (error) {
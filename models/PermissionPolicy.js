@@ -0,0 +1,85 @@
+// models/PermissionPolicy.js
+const mongoose = require('mongoose');
+
+const dateRangeSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    start: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        required: true,
+        validate: {
+            validator: function (end) {
+                return !this.start || end >= this.start;
+            },
+            message: 'end must be on or after start'
+        }
+    }
+}, { _id: false });
+
+// Rules checked when permissions are created (a single document, edited through /api/permissions/rules)
+const permissionPolicySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        unique: true
+    },
+    // Reject a new permission while the student still has one that isn't finished
+    blockOpenPermission: {
+        type: Boolean,
+        default: true
+    },
+    // Reject when the return date isn't after the departure
+    requireReturnAfterDeparture: {
+        type: Boolean,
+        default: true
+    },
+    // Flag (not reject) students above this many permissions in a term; 0 turns it off
+    maxPerTerm: {
+        type: Number,
+        default: 3,
+        min: 0
+    },
+    // Used when no configured term covers the departure date
+    fallbackTermDays: {
+        type: Number,
+        default: 90,
+        min: 1
+    },
+    terms: {
+        type: [dateRangeSchema],
+        default: []
+    },
+    // No leave during exams unless someone with permissions:rules overrides it
+    blockExamPeriods: {
+        type: Boolean,
+        default: true
+    },
+    examPeriods: {
+        type: [dateRangeSchema],
+        default: []
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// The policy in force, created with the defaults the first time it's needed
+permissionPolicySchema.statics.getCurrent = function () {
+    return this.findOneAndUpdate(
+        { key: 'default' },
+        { $setOnInsert: { key: 'default' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = mongoose.model('PermissionPolicy', permissionPolicySchema);
@@ -0,0 +1,139 @@
+// models/Role.js
+const mongoose = require('mongoose');
+
+// Named capabilities checked by capabilityMiddleware ('*' grants everything)
+const CAPABILITIES = [
+    'students:read',
+    'students:write',
+    'students:import',
+    'students:delete',
+    'cards:read',
+    'cards:print',
+    'cards:revoke',
+    'templates:read',
+    'templates:write',
+    'templates:delete',
+    'permissions:read',
+    'permissions:create',
+    'permissions:approve',
+    'permissions:mark-returned',
+    'permissions:delete',
+    'permissions:rules',
+    'analytics:view',
+    'users:manage',
+    'roles:manage',
+    'audit:view'
+];
+
+// Seeded on startup when missing; edits made afterwards are kept
+const DEFAULT_ROLES = [
+    {
+        name: 'admin',
+        label: 'Administrator',
+        description: 'Full access, including destructive operations',
+        capabilities: ['*']
+    },
+    {
+        name: 'staff',
+        label: 'Staff',
+        description: 'Day-to-day office work without deletes or user management',
+        capabilities: [
+            'students:read', 'students:write', 'students:import',
+            'cards:read', 'cards:print',
+            'templates:read', 'templates:write',
+            'permissions:read', 'permissions:create', 'permissions:approve', 'permissions:mark-returned',
+            'analytics:view'
+        ]
+    },
+    {
+        name: 'dod',
+        label: 'Discipline Officer (DOD)',
+        description: 'Issues and approves permissions',
+        capabilities: [
+            'students:read',
+            'permissions:read', 'permissions:create', 'permissions:approve', 'permissions:mark-returned',
+            'analytics:view'
+        ]
+    },
+    {
+        name: 'class_teacher',
+        label: 'Class Teacher',
+        description: 'Requests permissions for students; the DOD approves them',
+        capabilities: ['students:read', 'permissions:read', 'permissions:create']
+    },
+    {
+        name: 'gate_guard',
+        label: 'Gate Guard',
+        description: 'Checks permissions and marks students as departed or returned',
+        capabilities: ['students:read', 'permissions:read', 'permissions:mark-returned']
+    },
+    {
+        name: 'registrar',
+        label: 'Registrar',
+        description: 'Maintains student records and imports',
+        capabilities: ['students:read', 'students:write', 'students:import', 'cards:read', 'permissions:read']
+    },
+    {
+        name: 'print_operator',
+        label: 'Print Operator',
+        description: 'Generates and prints ID cards',
+        capabilities: ['students:read', 'cards:read', 'cards:print', 'templates:read']
+    }
+];
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain letters, digits, "_" and "-"']
+    },
+    label: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    capabilities: [{
+        type: String,
+        enum: [...CAPABILITIES, '*']
+    }],
+    // Seeded roles can be edited but not deleted
+    isSystem: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+roleSchema.methods.hasCapability = function (capability) {
+    return this.capabilities.includes('*') || this.capabilities.includes(capability);
+};
+
+// Capabilities granted to a role name (empty when the role doesn't exist)
+roleSchema.statics.getCapabilities = async function (roleName) {
+    const role = await this.findOne({ name: roleName }).lean();
+    if (!role) return [];
+    return role.capabilities.includes('*') ? ['*', ...CAPABILITIES] : role.capabilities;
+};
+
+roleSchema.statics.ensureDefaults = async function () {
+    const result = await this.bulkWrite(DEFAULT_ROLES.map(role => ({
+        updateOne: {
+            filter: { name: role.name },
+            update: { $setOnInsert: { ...role, isSystem: true } },
+            upsert: true
+        }
+    })));
+    return result.upsertedCount;
+};
+
+roleSchema.statics.CAPABILITIES = CAPABILITIES;
+roleSchema.statics.DEFAULT_ROLES = DEFAULT_ROLES;
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,59 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// One login on one device; access tokens carry its id so revoking it cuts access at once
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // SHA-256 of the current refresh token (rotated on every refresh)
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // Hash of the token it replaced; seeing it again means the token was stolen
+    previousTokenHash: {
+        type: String
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout-all', 'admin', 'password-change', 'token-reuse']
+    }
+}, {
+    timestamps: true
+});
+
+// Expired sessions are removed by MongoDB a day after expiry
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
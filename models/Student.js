@@ -1,5 +1,6 @@
 // models/Student.js
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const studentSchema = new mongoose.Schema({
     student_id: {
@@ -64,9 +65,141 @@ const studentSchema = new mongoose.Schema({
     },
     first_card_generated: {
         type: Date
+    },
+    // Revoking invalidates every card printed so far
+    card_revoked: {
+        type: Boolean,
+        default: false
+    },
+    card_revoked_at: {
+        type: Date
+    },
+    card_revocation_reason: {
+        type: String
     }
 }, {
     timestamps: true
 });
 
+studentSchema.plugin(softDelete);
+
+studentSchema.index({ class: 1, name: 1 });
+studentSchema.index({ level: 1 });
+studentSchema.index({ academic_year: 1 });
+
+// Exact-match list filters (comma-separated values match any)
+const LIST_FILTER_FIELDS = ['class', 'level', 'gender', 'residence', 'academic_year'];
+// Sortable fields; cursor paging needs a value on every document
+const LIST_SORT_FIELDS = ['student_id', 'name', 'class', 'level', 'academic_year', 'createdAt', 'updatedAt', 'last_card_generated'];
+const CURSOR_SORT_FIELDS = ['student_id', 'name', 'class', 'level', 'academic_year', 'createdAt', 'updatedAt'];
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'last_card_generated'];
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a query from list/export query-string parameters
+studentSchema.statics.buildFilter = function (query = {}) {
+    const filter = {};
+
+    LIST_FILTER_FIELDS.forEach(field => {
+        if (query[field]) {
+            const values = String(query[field]).split(',').map(value => value.trim()).filter(Boolean);
+            filter[field] = values.length > 1 ? { $in: values } : values[0];
+        }
+    });
+
+    ['has_photo', 'card_generated'].forEach(field => {
+        if (query[field] === 'true') filter[field] = true;
+        if (query[field] === 'false') filter[field] = { $ne: true };
+    });
+
+    // Case-insensitive partial match on name or student ID
+    const search = (query.search || query.q || '').toString().trim();
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        filter.$or = [{ name: pattern }, { student_id: pattern }];
+    }
+
+    return filter;
+};
+
+// Query parameters read by buildFilter
+studentSchema.statics.FILTER_PARAMS = [...LIST_FILTER_FIELDS, 'has_photo', 'card_generated', 'search', 'q'];
+
+// Filtered, sorted page of students: ?page=&limit= or ?cursor= (from nextCursor).
+// With unpaged set, every matching student is returned.
+studentSchema.statics.paginate = async function (query = {}, { defaultSort = 'student_id', unpaged = false } = {}) {
+    const filter = this.buildFilter(query);
+    const limit = unpaged ? 0 : Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+
+    const sortParam = (query.sort || defaultSort).toString();
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+    const sortField = sortParam.replace(/^-/, '');
+    if (!LIST_SORT_FIELDS.includes(sortField)) {
+        throw badRequest(`Invalid sort field. Allowed: ${LIST_SORT_FIELDS.join(', ')}`);
+    }
+    const sort = { [sortField]: direction, _id: direction };
+
+    let pageFilter = filter;
+    let page = null;
+    let skip = 0;
+
+    if (unpaged) {
+        page = 1;
+    } else if (query.cursor) {
+        if (!CURSOR_SORT_FIELDS.includes(sortField)) {
+            throw badRequest(`Cursor paging is not available when sorting by ${sortField}`);
+        }
+
+        let cursor;
+        let id;
+        try {
+            cursor = JSON.parse(Buffer.from(query.cursor, 'base64url').toString('utf-8'));
+            id = new mongoose.Types.ObjectId(cursor.id);
+        } catch (error) {
+            throw badRequest('Invalid cursor');
+        }
+
+        const value = DATE_FIELDS.includes(sortField) ? new Date(cursor.v) : cursor.v;
+        const op = direction === 1 ? '$gt' : '$lt';
+        pageFilter = {
+            $and: [
+                filter,
+                { $or: [{ [sortField]: { [op]: value } }, { [sortField]: value, _id: { [op]: id } }] }
+            ]
+        };
+    } else {
+        page = Math.max(parseInt(query.page) || 1, 1);
+        skip = (page - 1) * limit;
+    }
+
+    const [total, students] = await Promise.all([
+        this.countDocuments(filter),
+        this.find(pageFilter).sort(sort).skip(skip).limit(unpaged ? 0 : limit + 1)
+    ]);
+
+    const hasMore = !unpaged && students.length > limit;
+    if (hasMore) students.pop();
+
+    const last = students[students.length - 1];
+    const nextCursor = hasMore && last && CURSOR_SORT_FIELDS.includes(sortField)
+        ? Buffer.from(JSON.stringify({ v: last[sortField], id: last._id })).toString('base64url')
+        : null;
+
+    return {
+        students,
+        total,
+        page,
+        limit,
+        pages: unpaged ? 1 : Math.ceil(total / limit),
+        hasMore,
+        nextCursor
+    };
+};
+
 module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
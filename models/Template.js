@@ -1,5 +1,74 @@
 // models/Template.js - FIXED FOR CLOUDINARY
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// Student fields a layout element can be bound to
+const LAYOUT_FIELDS = [
+    'photo',
+    'student_id',
+    'name',
+    'class',
+    'level',
+    'gender',
+    'residence',
+    'academic_year',
+    'parent_phone'
+];
+
+// What a QR code / barcode element encodes
+const CODE_CONTENTS = ['student_id', 'verification_url'];
+
+// One positioned element on a card side (text, photo, QR code or barcode)
+const layoutElementSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['text', 'photo', 'qrcode', 'barcode'],
+        default: 'text'
+    },
+    field: {
+        type: String,
+        enum: LAYOUT_FIELDS
+    },
+    // QR code / barcode options
+    encode: {
+        type: String,
+        enum: CODE_CONTENTS,
+        default: 'student_id'
+    },
+    symbology: {
+        type: String,
+        enum: ['code128', 'pdf417'],
+        default: 'code128'
+    },
+    text: { type: String }, // Static text (used when no field is bound)
+    x: { type: Number, required: true },
+    y: { type: Number, required: true },
+    // Photo, QR code and barcode elements are drawn into a fixed box
+    width: { type: Number, required: function () { return this.type !== 'text'; } },
+    height: { type: Number, required: function () { return this.type !== 'text'; } },
+    maxWidth: { type: Number },
+    fontSize: { type: Number, default: 20 },
+    fontWeight: {
+        type: String,
+        enum: ['normal', 'bold'],
+        default: 'normal'
+    },
+    fontFamily: { type: String, default: 'Roboto' },
+    color: { type: String, default: '#000000' },
+    align: {
+        type: String,
+        enum: ['left', 'center', 'right'],
+        default: 'left'
+    },
+    rotation: { type: Number, default: 0 } // Degrees, clockwise
+}, { _id: false });
+
+const layoutSchema = new mongoose.Schema({
+    version: { type: Number, default: 0 },
+    updatedAt: { type: Date },
+    front: { type: [layoutElementSchema], default: [] },
+    back: { type: [layoutElementSchema], default: [] }
+}, { _id: false });
 
 const templateSchema = new mongoose.Schema({
     name: {
@@ -24,6 +93,16 @@ const templateSchema = new mongoose.Schema({
         secure_url: { type: String },
         public_id: { type: String }
     },
+    // Current card layout (bumped on every save)
+    layout: {
+        type: layoutSchema,
+        default: () => ({})
+    },
+    // Previous layout versions, kept so older cards can be reproduced
+    layoutHistory: {
+        type: [layoutSchema],
+        default: []
+    },
     isDefault: {
         type: Boolean,
         default: false
@@ -34,4 +113,35 @@ const templateSchema = new mongoose.Schema({
     }
 });
 
-module.exports = mongoose.model('Template', templateSchema);
\ No newline at end of file
+templateSchema.plugin(softDelete);
+
+// Layout saved under a given version (current or historical)
+templateSchema.methods.getLayoutVersion = function (version) {
+    if (version === undefined || version === null || this.layout?.version === Number(version)) {
+        return this.layout;
+    }
+    return this.layoutHistory.find(entry => entry.version === Number(version)) || null;
+};
+
+// Replace the current layout, archiving the previous one
+templateSchema.methods.saveLayout = function ({ front = [], back = [] }) {
+    const currentVersion = this.layout?.version || 0;
+
+    if (currentVersion > 0) {
+        this.layoutHistory.push(this.layout.toObject ? this.layout.toObject() : this.layout);
+    }
+
+    this.layout = {
+        version: currentVersion + 1,
+        updatedAt: new Date(),
+        front,
+        back
+    };
+
+    return this.layout;
+};
+
+templateSchema.statics.LAYOUT_FIELDS = LAYOUT_FIELDS;
+templateSchema.statics.CODE_CONTENTS = CODE_CONTENTS;
+
+module.exports = mongoose.model('Template', templateSchema);
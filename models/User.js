@@ -26,15 +26,61 @@ const userSchema = new mongoose.Schema({
         lowercase: true,
         match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
     },
+    // Optional; lets password reset codes go out by SMS
+    phone: {
+        type: String,
+        trim: true
+    },
     password: { 
         type: String, 
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters']
     },
+    // Name of a Role; its capabilities decide what the user may do
     role: { 
         type: String, 
-        enum: ['admin', 'staff'], 
-        default: 'staff' 
+        trim: true,
+        lowercase: true,
+        default: 'staff',
+        validate: {
+            validator: async (name) => !!(await mongoose.model('Role').exists({ name })),
+            message: props => `Unknown role "${props.value}"`
+        }
+    },
+    // TOTP second factor; secrets are encrypted and never selected by default
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date },
+        secret: { type: String, select: false },
+        // Generated by setup, becomes the secret once a code from it is confirmed
+        pendingSecret: { type: String, select: false },
+        // Last accepted 30s time step, so a code can't be replayed
+        lastUsedStep: { type: Number, select: false },
+        // SHA-256 hashes of unused one-time backup codes
+        backupCodes: { type: [String], select: false }
+    },
+    // Cloudinary avatar (400px face crop) and the small version shown in lists
+    profileImage: { type: String },
+    profileThumbnail: { type: String },
+    profileImagePublicId: { type: String },
+    // Deactivated users keep their history but can't log in
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    deactivatedAt: { type: Date },
+    deactivatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    deactivationReason: { type: String, trim: true },
+    // Failed-login tracking for lockout (see loginGuardService)
+    loginSecurity: {
+        failedAttempts: { type: Number, default: 0 },
+        lastFailedAt: { type: Date },
+        lockedUntil: { type: Date },
+        // Lockouts since the last successful login; each one lasts twice as long
+        lockCount: { type: Number, default: 0 }
     }
 }, { 
     timestamps: true 
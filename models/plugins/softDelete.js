@@ -0,0 +1,74 @@
+// models/plugins/softDelete.js - Trash instead of delete
+const mongoose = require('mongoose');
+
+// Query types that skip trashed documents unless { withDeleted: true } is set
+// or the filter names deletedAt itself
+const FILTERED_QUERIES = [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndDelete',
+    'findOneAndReplace',
+    'countDocuments',
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany'
+];
+
+module.exports = function softDelete(schema) {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Shared by everything trashed in one bulk delete, so it can be restored together
+        deleteBatch: {
+            type: String,
+            index: true,
+            sparse: true
+        }
+    });
+
+    schema.pre(FILTERED_QUERIES, function () {
+        if (this.getOptions().withDeleted) return;
+        if (this.getFilter().deletedAt !== undefined) return;
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function () {
+        if (this.options.withDeleted) return;
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+
+    schema.methods.softDelete = function (userId, batchId) {
+        this.deletedAt = new Date();
+        this.deletedBy = userId;
+        this.deleteBatch = batchId;
+        return this.save();
+    };
+
+    schema.methods.restore = function () {
+        this.deletedAt = null;
+        this.deletedBy = undefined;
+        this.deleteBatch = undefined;
+        return this.save();
+    };
+
+    // Moves every live document matching the filter to the trash under one batch ID
+    schema.statics.softDeleteMany = function (filter, userId, batchId) {
+        return this.updateMany(filter, {
+            $set: { deletedAt: new Date(), deletedBy: userId, deleteBatch: batchId }
+        });
+    };
+
+    schema.statics.findDeleted = function (filter = {}) {
+        return this.find({ ...filter, deletedAt: { $ne: null } });
+    };
+};
@@ -4,6 +4,7 @@ const router = express.Router();
 const Permission = require('../models/Permission');
 const Student = require('../models/Student');
 const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
 
 // Analytics helper functions
 const getAnalyticsSummary = async () => {
@@ -16,19 +17,21 @@ const getAnalyticsSummary = async () => {
     activePermissions,
     returnedThisMonth,
     overduePermissions,
+    pendingPermissions,
     totalStudents,
     monthlyData
   ] = await Promise.all([
     Permission.countDocuments(),
-    Permission.countDocuments({ status: 'approved' }),
+    Permission.countDocuments({ status: { $in: Permission.OUT_STATUSES } }),
     Permission.countDocuments({ 
       status: 'returned',
       returnedAt: { $gte: startOfMonth, $lte: endOfMonth }
     }),
     Permission.countDocuments({
-      status: 'approved',
+      status: { $in: Permission.OUT_STATUSES },
       returnDate: { $lt: today }
     }),
+    Permission.countDocuments({ status: 'pending' }),
     Student.countDocuments(),
     Permission.aggregate([
       {
@@ -78,6 +81,7 @@ const getAnalyticsSummary = async () => {
     activePermissions,
     returnedThisMonth,
     overduePermissions,
+    pendingPermissions,
     totalStudents,
     monthlyData: {
       count: monthlyData[0]?.count || 0,
@@ -196,7 +200,7 @@ const getTrends = async (timeRange = 'monthly') => {
 };
 
 // Dashboard summary
-router.get('/dashboard-summary', authMiddleware, async (req, res) => {
+router.get('/dashboard-summary', authMiddleware, capabilityMiddleware('analytics:view'), async (req, res) => {
   try {
     const summary = await getAnalyticsSummary();
     const punctuality = await getReturnPunctuality();
@@ -214,7 +218,7 @@ router.get('/dashboard-summary', authMiddleware, async (req, res) => {
 });
 
 // Monthly report
-router.get('/monthly-report/:year/:month', authMiddleware, async (req, res) => {
+router.get('/monthly-report/:year/:month', authMiddleware, capabilityMiddleware('analytics:view'), async (req, res) => {
   try {
     const { year, month } = req.params;
     const startDate = new Date(year, month - 1, 1);
@@ -266,7 +270,7 @@ router.get('/monthly-report/:year/:month', authMiddleware, async (req, res) => {
 });
 
 // Trends
-router.get('/trends/:timeRange', authMiddleware, async (req, res) => {
+router.get('/trends/:timeRange', authMiddleware, capabilityMiddleware('analytics:view'), async (req, res) => {
   try {
     const { timeRange } = req.params;
     const trends = await getTrends(timeRange);
@@ -277,7 +281,7 @@ router.get('/trends/:timeRange', authMiddleware, async (req, res) => {
 });
 
 // Return punctuality
-router.get('/return-punctuality', authMiddleware, async (req, res) => {
+router.get('/return-punctuality', authMiddleware, capabilityMiddleware('analytics:view'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     const punctuality = await getReturnPunctuality(startDate, endDate);
@@ -288,7 +292,7 @@ router.get('/return-punctuality', authMiddleware, async (req, res) => {
 });
 
 // Class analytics
-router.get('/class', authMiddleware, async (req, res) => {
+router.get('/class', authMiddleware, capabilityMiddleware('analytics:view'), async (req, res) => {
   try {
     const permissions = await Permission.find().populate('student', 'class');
     
@@ -306,7 +310,7 @@ router.get('/class', authMiddleware, async (req, res) => {
       
       classAnalytics[studentClass].total++;
       
-      if (permission.status === 'approved') {
+      if (Permission.OUT_STATUSES.includes(permission.status)) {
         classAnalytics[studentClass].active++;
         
         // Check if overdue
@@ -325,7 +329,7 @@ router.get('/class', authMiddleware, async (req, res) => {
 });
 
 // Reason analytics
-router.get('/reasons', authMiddleware, async (req, res) => {
+router.get('/reasons', authMiddleware, capabilityMiddleware('analytics:view'), async (req, res) => {
   try {
     const permissions = await Permission.find();
     
@@ -347,7 +351,7 @@ router.get('/reasons', authMiddleware, async (req, res) => {
 });
 
 // SMS stats
-router.get('/sms-stats', authMiddleware, async (req, res) => {
+router.get('/sms-stats', authMiddleware, capabilityMiddleware('analytics:view'), async (req, res) => {
   try {
     const permissions = await Permission.find();
     
@@ -377,7 +381,7 @@ router.get('/sms-stats', authMiddleware, async (req, res) => {
 });
 
 // Weekly active permissions
-router.get('/weekly-active', authMiddleware, async (req, res) => {
+router.get('/weekly-active', authMiddleware, capabilityMiddleware('analytics:view'), async (req, res) => {
   try {
     const today = new Date();
     const startOfWeek = new Date(today.setDate(today.getDate() - today.getDay()));
@@ -387,7 +391,7 @@ router.get('/weekly-active', authMiddleware, async (req, res) => {
     endOfWeek.setHours(23, 59, 59, 999);
 
     const activePermissions = await Permission.countDocuments({
-      status: 'approved',
+      status: { $in: Permission.OUT_STATUSES },
       createdAt: { $gte: startOfWeek, $lte: endOfWeek }
     });
 
@@ -404,7 +408,7 @@ router.get('/weekly-active', authMiddleware, async (req, res) => {
 
 // Weekly returned permissions
 // Update the weekly-returned route in analytics.js
-router.get('/weekly-returned', authMiddleware, async (req, res) => {
+router.get('/weekly-returned', authMiddleware, capabilityMiddleware('analytics:view'), async (req, res) => {
   try {
     const today = new Date();
     
@@ -468,7 +472,7 @@ router.get('/weekly-returned', authMiddleware, async (req, res) => {
 });
 
 // Routes for individual student analytics
-router.get('/student/:studentId', authMiddleware, async (req, res) => {
+router.get('/student/:studentId', authMiddleware, capabilityMiddleware('analytics:view'), async (req, res) => {
   try {
     const { studentId } = req.params;
     
@@ -490,7 +494,7 @@ router.get('/student/:studentId', authMiddleware, async (req, res) => {
       returned: permissions.filter(p => p.status === 'returned').length,
       pending: permissions.filter(p => p.status === 'pending').length,
       overdue: permissions.filter(p => {
-        return p.status === 'approved' && new Date(p.returnDate) < new Date();
+        return Permission.OUT_STATUSES.includes(p.status) && new Date(p.returnDate) < new Date();
       }).length
     };
     
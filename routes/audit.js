@@ -0,0 +1,65 @@
+// routes/audit.js - Read-only access to the audit trail
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
+
+// ✅ GET audit entries
+// Filters: actor, action (exact, or prefix with "student.*"), entityType, entityId, from, to, page, limit
+router.get('/', authMiddleware, capabilityMiddleware('audit:view'), async (req, res) => {
+  try {
+    const { actor, action, entityType, entityId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    if (actor) {
+      if (!mongoose.Types.ObjectId.isValid(actor)) {
+        return res.status(400).json({ success: false, error: 'actor must be a user ID' });
+      }
+      filter.actor = actor;
+    }
+    if (action) {
+      filter.action = action.endsWith('.*')
+        ? { $regex: `^${action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` }
+        : action;
+    }
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ success: false, error: 'from/to must be valid dates' });
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'firstName lastName username profileThumbnail')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
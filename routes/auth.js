@@ -1,19 +1,208 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const path = require('path');
+const multer = require('multer');
+const cloudinary = require('cloudinary').v2;
+const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const authMiddleware = require('../middleware/authMiddleware');
-const roleMiddleware = require('../middleware/roleMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
+const authTokenService = require('../services/authTokenService');
+const accountService = require('../services/accountService');
+const twoFactorService = require('../services/twoFactorService');
+const loginGuardService = require('../services/loginGuardService');
+const auditService = require('../services/auditService');
 
+// Cloudinary storage for staff avatars (same approach as student photos)
+const profileImageStorage = new CloudinaryStorage({
+    cloudinary: cloudinary,
+    params: async (req, file) => ({
+        folder: `staff-avatars/${req.user._id}`,
+        allowed_formats: ['jpg', 'jpeg', 'png'],
+        public_id: `avatar-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+        transformation: [
+            { width: 400, height: 400, crop: 'thumb', gravity: 'face' },
+            { quality: 'auto:good' },
+            { fetch_format: 'auto' }
+        ],
+        tags: [`user-${req.user._id}`]
+    })
+});
+
+const profileImageUpload = multer({
+    storage: profileImageStorage,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = /jpeg|jpg|png/;
+        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = allowedTypes.test(file.mimetype);
+
+        if (mimetype && extname) {
+            return cb(null, true);
+        }
+        cb(new Error('Only image files (jpeg, jpg, png) are allowed for profile images!'));
+    }
+});
+
+// Upload errors (size, type) are the client's fault
+const uploadProfileImage = (req, res, next) => {
+    profileImageUpload.single('profileImage')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        next();
+    });
+};
+
+const removeProfileImage = async (publicId) => {
+    if (!publicId) return;
+    try {
+        await cloudinary.uploader.destroy(publicId);
+        console.log(`🗑️ Deleted old profile image from Cloudinary: ${publicId}`);
+    } catch (error) {
+        console.warn(`⚠️ Could not delete profile image ${publicId}:`, error.message);
+    }
+};
+
+// Public user fields returned after login/registration
+const toAuthUser = (user) => ({
+    id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    profileImage: user.profileImage,
+    profileThumbnail: user.profileThumbnail,
+    twoFactorEnabled: !!user.twoFactor?.enabled
+});
+
+// Second step owed after the password check, or null when a session can be issued now
+const getTwoFactorStep = async (user) => {
+    if (user.twoFactor?.enabled) {
+        return {
+            twoFactorRequired: true,
+            challengeToken: twoFactorService.signChallenge(user, 'verify'),
+            message: 'Enter the code from your authenticator app'
+        };
+    }
+
+    if (await twoFactorService.isRequiredFor(user)) {
+        return {
+            twoFactorSetupRequired: true,
+            challengeToken: twoFactorService.signChallenge(user, 'setup'),
+            message: 'Admin accounts must set up two-factor authentication'
+        };
+    }
+
+    return null;
+};
+
+// 423 while an account is locked, 429 for throttling; both tell the client when to retry
+const sendThrottled = (res, status, error, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(status).json({ success: false, error, retryAfter });
+};
+
+// Runs the IP and account checks; returns true when a response has already been sent
+const rejectIfThrottled = async (req, res, user, email) => {
+    const ipCheck = await loginGuardService.checkIp(req.ip);
+    if (ipCheck.blocked) {
+        await loginGuardService.log({ user, email, req, success: false, reason: 'ip-throttled' });
+        sendThrottled(res, 429, 'Too many failed login attempts from this network. Try again later.', ipCheck.retryAfter);
+        return true;
+    }
 
-// Register
+    if (!user) return false;
+
+    const accountCheck = loginGuardService.checkAccount(user);
+    if (accountCheck.locked) {
+        await loginGuardService.log({ user, email, req, success: false, reason: 'account-locked' });
+        sendThrottled(res, 423, 'Account is temporarily locked after repeated failed logins', accountCheck.retryAfter);
+        return true;
+    }
+    if (accountCheck.tooFast) {
+        await loginGuardService.log({ user, email, req, success: false, reason: 'too-fast' });
+        sendThrottled(res, 429, 'Please wait before trying again', accountCheck.retryAfter);
+        return true;
+    }
+
+    return false;
+};
+
+// 2FA enrolment works with a normal login or with the setup challenge handed out by /login
+const twoFactorSetupAuth = async (req, res, next) => {
+    if (!req.body?.challengeToken) {
+        return authMiddleware(req, res, next);
+    }
+
+    try {
+        const userId = twoFactorService.verifyChallenge(req.body.challengeToken, 'setup');
+        const user = userId ? await User.findById(userId).select('-password') : null;
+        if (!user || user.isActive === false) {
+            return res.status(401).json({
+                success: false,
+                message: 'Two-factor setup has expired, please log in again'
+            });
+        }
+
+        req.user = user;
+        req.viaSetupChallenge = true;
+        next();
+    } catch (error) {
+        console.error('2FA setup auth error:', error);
+        res.status(401).json({ success: false, message: 'Token is not valid' });
+    }
+};
+
+
+// Register (invitation required; the very first account becomes the admin)
 router.post('/register', async (req, res) => {
+    let invitation = null;
+
     try {
-        const { firstName, lastName, username, email, password, role } = req.body;
+        const { firstName, lastName, username, password, inviteToken } = req.body;
 
         // Validate required fields
-        if (!firstName || !lastName || !username || !email || !password) {
+        if (!firstName || !lastName || !username || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'All fields are required'
+            });
+        }
+
+        const isFirstUser = (await User.countDocuments()) === 0;
+        let email = req.body.email;
+        let role = 'admin';
+
+        if (!isFirstUser) {
+            if (!inviteToken) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Registration is by invitation only'
+                });
+            }
+
+            invitation = await accountService.claimInvitation(inviteToken);
+            if (!invitation) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invitation is invalid, expired or already used'
+                });
+            }
+
+            // The invited address and role can't be changed by the invitee
+            email = invitation.email;
+            role = invitation.role;
+        }
+
+        if (!email) {
             return res.status(400).json({
                 success: false,
                 error: 'All fields are required'
@@ -22,10 +211,11 @@ router.post('/register', async (req, res) => {
 
         // Check if user already exists
         const existingUser = await User.findOne({
-            $or: [{ email }, { username }]
+            $or: [{ email: email.toLowerCase() }, { username: username.toLowerCase() }]
         });
 
         if (existingUser) {
+            if (invitation) await accountService.releaseInvitation(invitation);
             return res.status(400).json({
                 success: false,
                 error: 'User already exists with this email or username'
@@ -41,37 +231,53 @@ router.post('/register', async (req, res) => {
             lastName,
             username,
             email,
+            phone: invitation?.phone,
             password: hashedPassword,
-            role: role || 'staff' // Use provided role or default to 'staff'
+            role
         });
 
         await user.save();
 
-        // Generate token
-        const token = jwt.sign({
-            id: user._id,
-            role: user.role
-        }, process.env.JWT_SECRET || 'fallback_secret', {
-            expiresIn: '24h'
+        if (invitation) {
+            invitation.acceptedUser = user._id;
+            await invitation.save();
+        }
+
+        await auditService.record(req, {
+            actor: user,
+            action: 'user.register',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: user.username,
+            metadata: { role: user.role, invitation: invitation ? String(invitation._id) : undefined, firstUser: isFirstUser }
         });
 
+        // Admin accounts enrol in 2FA before their first session
+        const twoFactorStep = await getTwoFactorStep(user);
+        if (twoFactorStep) {
+            return res.status(201).json({
+                success: true,
+                user: toAuthUser(user),
+                ...twoFactorStep
+            });
+        }
+
+        // Start a login session (short-lived access token + refresh token)
+        const tokens = await authTokenService.startSession(user, req);
+
         // Return success response (matching frontend expectation)
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
-            user: {
-                id: user._id,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                username: user.username,
-                email: user.email,
-                role: user.role
-            },
-            token: token
+            user: toAuthUser(user),
+            ...tokens
         });
 
     } catch (error) {
         console.error('Registration error:', error);
+        if (invitation) {
+            await accountService.releaseInvitation(invitation).catch(() => {});
+        }
         res.status(500).json({
             success: false,
             error: 'Internal server error during registration'
@@ -93,8 +299,11 @@ router.post('/login', async (req, res) => {
         }
 
         // Find user by email
-        const user = await User.findOne({ email });
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (await rejectIfThrottled(req, res, user, email)) return;
+
         if (!user) {
+            await loginGuardService.recordFailure({ email, req, reason: 'unknown-user' });
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
@@ -104,33 +313,39 @@ router.post('/login', async (req, res) => {
         // Check password
         const isPasswordValid = await bcrypt.compare(password, user.password);
         if (!isPasswordValid) {
+            const { lockedUntil, retryAfter } = await loginGuardService.recordFailure({ user, email, req, reason: 'bad-password' });
+            if (lockedUntil) {
+                return sendThrottled(res, 423, 'Account is temporarily locked after repeated failed logins', retryAfter);
+            }
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
             });
         }
 
-        // Generate token
-        const token = jwt.sign({
-            id: user._id,
-            role: user.role
-        }, process.env.JWT_SECRET || 'fallback_secret', {
-            expiresIn: '24h'
-        });
+        if (user.isActive === false) {
+            return res.status(403).json({
+                success: false,
+                error: 'Account has been deactivated. Contact an administrator.'
+            });
+        }
+
+        // No token yet when a second factor is owed
+        const twoFactorStep = await getTwoFactorStep(user);
+        if (twoFactorStep) {
+            return res.json({ success: true, ...twoFactorStep });
+        }
+
+        // Start a login session (short-lived access token + refresh token)
+        const tokens = await authTokenService.startSession(user, req);
+        await loginGuardService.recordSuccess({ user, req });
 
         // Return success response
         res.json({
             success: true,
             message: 'Login successful',
-            user: {
-                id: user._id,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                username: user.username,
-                email: user.email,
-                role: user.role
-            },
-            token: token
+            user: toAuthUser(user),
+            ...tokens
         });
 
     } catch (error) {
@@ -142,12 +357,163 @@ router.post('/login', async (req, res) => {
     }
 });
 
-// Logout
-router.post('/logout', (req, res) => {
-    res.json({
-        success: true,
-        message: 'Logged out successfully'
-    });
+// Login step 2: authenticator code (or a backup code) for the challenge from /login
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code, backupCode } = req.body;
+        if (!challengeToken || (!code && !backupCode)) {
+            return res.status(400).json({
+                success: false,
+                error: 'challengeToken and code (or backupCode) are required'
+            });
+        }
+
+        const userId = twoFactorService.verifyChallenge(challengeToken, 'verify');
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Login has expired, please enter your password again'
+            });
+        }
+
+        const user = await User.findById(userId).select(twoFactorService.SECRET_FIELDS);
+        if (!user || user.isActive === false) {
+            return res.status(401).json({
+                success: false,
+                error: 'Login has expired, please enter your password again'
+            });
+        }
+        if (await rejectIfThrottled(req, res, user, user.email)) return;
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const method = twoFactorService.verify(user, { code, backupCode });
+        if (!method) {
+            const { lockedUntil, retryAfter } = await loginGuardService.recordFailure({ user, req, reason: 'bad-2fa-code' });
+            if (lockedUntil) {
+                return sendThrottled(res, 423, 'Account is temporarily locked after repeated failed logins', retryAfter);
+            }
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid authentication code'
+            });
+        }
+        await user.save();
+
+        const tokens = await authTokenService.startSession(user, req);
+        await loginGuardService.recordSuccess({ user, req });
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            user: toAuthUser(user),
+            ...tokens,
+            ...(method === 'backup-code' && { backupCodesRemaining: user.twoFactor.backupCodes.length })
+        });
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error during login'
+        });
+    }
+});
+
+// Refresh: trade a refresh token for a new access/refresh pair (the old one stops working)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'refreshToken is required'
+            });
+        }
+
+        const tokens = await authTokenService.rotate(
+            refreshToken,
+            (userId) => User.findOne({ _id: userId, isActive: { $ne: false } }).select('-password')
+        );
+        if (!tokens) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has ended, please log in again'
+            });
+        }
+
+        res.json({ success: true, ...tokens });
+    } catch (error) {
+        console.error('Refresh error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error during token refresh'
+        });
+    }
+});
+
+// Logout (this device)
+router.post('/logout', authMiddleware, async (req, res) => {
+    try {
+        await authTokenService.revokeSession(req.authSession, { reason: 'logout', revokedBy: req.user._id });
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Logout from every device
+router.post('/logout-all', authMiddleware, async (req, res) => {
+    try {
+        const revoked = await authTokenService.revokeAllForUser(req.user._id, {
+            reason: 'logout-all',
+            revokedBy: req.user._id
+        });
+
+        res.json({
+            success: true,
+            message: `Logged out of ${revoked} session(s)`,
+            revoked
+        });
+    } catch (error) {
+        console.error('Logout-all error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ MY ACTIVE SESSIONS
+router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await authTokenService.listActiveSessions(req.user._id);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => ({
+                ...session.toObject(),
+                current: session._id.equals(req.authSession._id)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ END ONE OF MY SESSIONS (e.g. a lost laptop)
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id });
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
+        }
+
+        await authTokenService.revokeSession(session, { reason: 'logout', revokedBy: req.user._id });
+        res.json({ success: true, message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 //Get Profile
@@ -200,6 +566,15 @@ router.put('/profile', authMiddleware, async (req, res) => {
             { new: true, runValidators: true }
         ).select('-password');
 
+        await auditService.record(req, {
+            action: 'user.profile-update',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: user.username,
+            before: req.user,
+            after: user
+        });
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -254,14 +629,26 @@ router.put('/change-password', authMiddleware, async (req, res) => {
 
         // Update password
         user.password = await bcrypt.hash(newPassword, 10);
-
-        
-        
         await user.save();
 
+        // Other devices must log in again with the new password
+        const revoked = await authTokenService.revokeAllForUser(user._id, {
+            reason: 'password-change',
+            revokedBy: user._id,
+            exceptSessionId: req.authSession._id
+        });
+        await auditService.record(req, {
+            action: 'user.password-change',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: user.username,
+            metadata: { revokedSessions: revoked }
+        });
+
         res.json({
             success: true,
-            message: 'Password changed successfully'
+            message: 'Password changed successfully',
+            revokedSessions: revoked
         });
 
     } catch (error) {
@@ -273,24 +660,235 @@ router.put('/change-password', authMiddleware, async (req, res) => {
     }
 });
 
-// ✅ UPLOAD PROFILE IMAGE
-router.put('/profile-image', authMiddleware, async (req, res) => {
+// ✅ FORGOT PASSWORD - sends a single-use reset code (same answer whether or not the email exists)
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email, channel } = req.body;
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                error: 'email is required'
+            });
+        }
+
+        await accountService.requestPasswordReset({ email, channel }, req.ip);
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a reset code has been sent'
+        });
+    } catch (error) {
+        console.error('❌ Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error during password reset'
+        });
+    }
+});
+
+// ✅ RESET PASSWORD with the emailed/SMS code
+router.post('/reset-password', async (req, res) => {
+    try {
+        const body = req.body || {};
+        if (await rejectIfThrottled(req, res, null, body.email)) return;
+
+        const user = await accountService.resetPassword(body, req);
+        await auditService.record(req, {
+            actor: user,
+            action: 'user.password-reset',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: user.username
+        });
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+    } catch (error) {
+        if (!error.statusCode) console.error('❌ Reset password error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ✅ 2FA SETUP - new authenticator secret (QR code + manual key); confirm with /2fa/enable
+router.post('/2fa/setup', twoFactorSetupAuth, async (req, res) => {
     try {
-        const { profileImage } = req.body; // You'll get this from file upload
+        const user = await User.findById(req.user._id).select(twoFactorService.SECRET_FIELDS);
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const setup = await twoFactorService.startSetup(user);
+        await user.save();
 
-        if (!profileImage) {
+        res.json({ success: true, ...setup });
+    } catch (error) {
+        console.error('❌ 2FA setup error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ 2FA ENABLE - confirm the first code; backup codes are only shown here
+router.post('/2fa/enable', twoFactorSetupAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(twoFactorService.SECRET_FIELDS);
+        if (user.twoFactor?.enabled) {
             return res.status(400).json({
                 success: false,
-                error: 'Profile image is required'
+                error: 'Two-factor authentication is already enabled'
             });
         }
 
+        const backupCodes = twoFactorService.confirmSetup(user, req.body.code);
+        if (!backupCodes) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid authentication code. Run setup again if the QR code is old.'
+            });
+        }
+        await user.save();
+        console.log(`🔐 2FA enabled for ${user.email}`);
+        await auditService.record(req, {
+            action: 'user.2fa-enable',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: req.user.username
+        });
+
+        // Finishing enrolment from the login challenge also logs the user in
+        const tokens = req.viaSetupChallenge ? await authTokenService.startSession(user, req) : {};
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the backup codes somewhere safe.',
+            backupCodes,
+            ...(req.viaSetupChallenge && { user: toAuthUser(user) }),
+            ...tokens
+        });
+    } catch (error) {
+        console.error('❌ 2FA enable error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ 2FA DISABLE - needs the password and a current code
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+    try {
+        const { password, code, backupCode } = req.body;
+        if (!password || (!code && !backupCode)) {
+            return res.status(400).json({
+                success: false,
+                error: 'password and code (or backupCode) are required'
+            });
+        }
+
+        if (await twoFactorService.isRequiredFor(req.user)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Two-factor authentication is mandatory for admin accounts'
+            });
+        }
+
+        const user = await User.findById(req.user._id).select(`+password ${twoFactorService.SECRET_FIELDS}`);
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid || !twoFactorService.verify(user, { code, backupCode })) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password or authentication code is incorrect'
+            });
+        }
+
+        twoFactorService.disable(user);
+        await user.save();
+        await auditService.record(req, {
+            action: 'user.2fa-disable',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: req.user.username
+        });
+
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('❌ 2FA disable error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ NEW BACKUP CODES (old ones stop working)
+router.post('/2fa/backup-codes', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(twoFactorService.SECRET_FIELDS);
+        if (!twoFactorService.verify(user, { code: req.body.code })) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid authentication code'
+            });
+        }
+
+        const backupCodes = twoFactorService.regenerateBackupCodes(user);
+        await user.save();
+        await auditService.record(req, {
+            action: 'user.2fa-backup-codes',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: req.user.username
+        });
+
+        res.json({ success: true, backupCodes });
+    } catch (error) {
+        console.error('❌ Backup codes error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ UPLOAD PROFILE IMAGE (multipart field "profileImage"; replaces the previous one)
+router.put('/profile-image', authMiddleware, uploadProfileImage, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'Profile image file is required'
+            });
+        }
+
+        const publicId = req.file.filename;
+        const previousPublicId = req.user.profileImagePublicId;
+
         const user = await User.findByIdAndUpdate(
             req.user.id,
-            { profileImage },
+            {
+                profileImage: req.file.path,
+                profileThumbnail: cloudinary.url(publicId, {
+                    width: 96,
+                    height: 96,
+                    crop: 'thumb',
+                    gravity: 'face',
+                    secure: true
+                }),
+                profileImagePublicId: publicId
+            },
             { new: true }
         ).select('-password');
 
+        if (previousPublicId && previousPublicId !== publicId) {
+            await removeProfileImage(previousPublicId);
+        }
+        await auditService.record(req, {
+            action: 'user.profile-image-update',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: user.username,
+            before: { profileImage: req.user.profileImage },
+            after: { profileImage: user.profileImage }
+        });
+
         res.json({
             success: true,
             message: 'Profile image updated successfully',
@@ -306,17 +904,41 @@ router.put('/profile-image', authMiddleware, async (req, res) => {
     }
 });
 
-// ✅ GET ALL USERS (Admin only - for user management)
-router.get('/', authMiddleware, roleMiddleware('admin'),  async (req, res) => {
+// ✅ DELETE PROFILE IMAGE
+router.delete('/profile-image', authMiddleware, async (req, res) => {
     try {
-        // Check if user is admin (optional - remove if not needed)
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                error: 'Access denied'
-            });
-        }
+        await removeProfileImage(req.user.profileImagePublicId);
+
+        const user = await User.findByIdAndUpdate(
+            req.user.id,
+            { $unset: { profileImage: 1, profileThumbnail: 1, profileImagePublicId: 1 } },
+            { new: true }
+        ).select('-password');
+        await auditService.record(req, {
+            action: 'user.profile-image-remove',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: user.username,
+            before: { profileImage: req.user.profileImage }
+        });
+
+        res.json({
+            success: true,
+            message: 'Profile image removed',
+            user
+        });
+    } catch (error) {
+        console.error('❌ Profile image delete error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
+// ✅ GET ALL USERS (users:manage - for user management)
+router.get('/', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+    try {
         const users = await User.find().select('-password').sort({ createdAt: -1 });
 
         res.json({
@@ -334,4 +956,152 @@ router.get('/', authMiddleware, roleMiddleware('admin'),  async (req, res) => {
     }
 });
 
+// ✅ LIST A USER'S ACTIVE SESSIONS (users:manage)
+router.get('/users/:userId/sessions', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+    try {
+        const sessions = await authTokenService.listActiveSessions(req.params.userId);
+        res.json({ success: true, sessions });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ FORCE-REVOKE A USER'S SESSIONS (users:manage) - all, or one with ?sessionId=
+router.delete('/users/:userId/sessions', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { sessionId } = req.query;
+
+        const target = await User.findById(userId).select('role');
+        if (!target) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        // Only accounts whose role the actor could grant (same rule as routes/users.js)
+        await accountService.assertCanGrantRole(target.role, await capabilityMiddleware.loadCapabilities(req));
+
+        if (sessionId) {
+            const session = await Session.findOne({ _id: sessionId, user: userId });
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Session not found' });
+            }
+            await authTokenService.revokeSession(session, { reason: 'admin', revokedBy: req.user._id });
+            await auditService.record(req, {
+                action: 'session.revoke',
+                entityType: 'session',
+                entityId: session._id,
+                metadata: { user: userId }
+            });
+            return res.json({ success: true, message: 'Session revoked', revoked: 1 });
+        }
+
+        const revoked = await authTokenService.revokeAllForUser(userId, {
+            reason: 'admin',
+            revokedBy: req.user._id
+        });
+        console.log(`🔒 ${req.user.username} revoked ${revoked} session(s) of user ${userId}`);
+        await auditService.record(req, {
+            action: 'session.revoke-all',
+            entityType: 'user',
+            entityId: userId,
+            metadata: { revoked }
+        });
+
+        res.json({ success: true, message: `Revoked ${revoked} session(s)`, revoked });
+    } catch (error) {
+        if (!error.statusCode) console.error('❌ Revoke sessions error:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ FAILED LOGIN LOG (users:manage) - ?email=&ip=&success=&page=&limit=
+router.get('/login-attempts', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        const filter = { success: req.query.success === 'true' };
+        if (req.query.success === 'all') delete filter.success;
+        if (req.query.email) filter.email = req.query.email.toLowerCase();
+        if (req.query.ip) filter.ip = req.query.ip;
+
+        const [attempts, total, lockedUsers] = await Promise.all([
+            LoginAttempt.find(filter)
+                .populate('user', 'firstName lastName username role')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            LoginAttempt.countDocuments(filter),
+            User.find({ 'loginSecurity.lockedUntil': { $gt: new Date() } })
+                .select('firstName lastName username email loginSecurity')
+        ]);
+
+        res.json({
+            success: true,
+            attempts,
+            lockedUsers,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Login attempts error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ UNLOCK A LOCKED ACCOUNT (users:manage)
+router.post('/users/:userId/unlock', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+    try {
+        const target = await User.findById(req.params.userId).select('role');
+        if (!target) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        await accountService.assertCanGrantRole(target.role, await capabilityMiddleware.loadCapabilities(req));
+
+        const user = await loginGuardService.unlock(target._id);
+
+        console.log(`🔓 ${req.user.username} unlocked ${user.email}`);
+        await auditService.record(req, {
+            action: 'user.unlock',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: user.username
+        });
+        res.json({ success: true, message: 'Account unlocked', user });
+    } catch (error) {
+        if (!error.statusCode) console.error('❌ Unlock error:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ✅ RESET A USER'S 2FA (users:manage) - lost phone; they enrol again at next login
+router.delete('/users/:userId/2fa', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId).select(twoFactorService.SECRET_FIELDS);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        await accountService.assertCanGrantRole(user.role, await capabilityMiddleware.loadCapabilities(req));
+
+        twoFactorService.disable(user);
+        await user.save();
+        await authTokenService.revokeAllForUser(user._id, { reason: 'admin', revokedBy: req.user._id });
+        console.log(`🔐 ${req.user.username} reset 2FA for ${user.email}`);
+        await auditService.record(req, {
+            action: 'user.2fa-reset',
+            entityType: 'user',
+            entityId: user._id,
+            entityLabel: user.username
+        });
+
+        res.json({ success: true, message: 'Two-factor authentication reset; the user has been logged out' });
+    } catch (error) {
+        if (!error.statusCode) console.error('❌ 2FA reset error:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
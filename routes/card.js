@@ -9,8 +9,20 @@ const JSZip = require('jszip'); // For ZIP extraction
 const archiver = require('archiver');
 const stream = require('stream');
 const cloudinary = require('cloudinary').v2;
+const QRCode = require('qrcode');
+const bwipjs = require('bwip-js');
 const Student = require('../models/Student');
 const Template = require('../models/Template');
+const CardIssuance = require('../models/CardIssuance');
+const CardJob = require('../models/CardJob');
+const ImportProfile = require('../models/ImportProfile');
+const cardTokenService = require('../services/cardTokenService');
+const pdfSheetService = require('../services/pdfSheetService');
+const cardJobService = require('../services/cardJobService');
+const studentImportService = require('../services/studentImportService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
 
 // Configure Cloudinary (use same config as templates.js)
 cloudinary.config({
@@ -28,6 +40,14 @@ const upload = multer({
   }
 });
 
+const ISSUANCE_REASONS = CardIssuance.schema.path('reason').enumValues;
+
+// Student fields written by CSV imports
+const IMPORT_FIELDS = ['name', 'class', 'level', 'residence', 'gender', 'academic_year', 'parent_phone'];
+
+// zip: PNG pairs per student, pdf-sheet: CR80 cards imposed on A4, pdf-card: one card per page
+const OUTPUT_FORMATS = ['zip', 'pdf-sheet', 'pdf-card'];
+
 // Register fonts
 try {
   registerFont(path.join(__dirname, '../fonts/Roboto-Bold.ttf'), { family: 'Roboto', weight: 'bold' });
@@ -39,9 +59,9 @@ try {
 
 
 // ✅ 1. SINGLE CARD GENERATION
-router.post('/generate-single-card', async (req, res) => {
+router.post('/generate-single-card', authMiddleware, capabilityMiddleware('cards:print'), async (req, res) => {
   try {
-    const { studentId, coordinates, templateId } = req.body;
+    const { studentId, coordinates, templateId, reason, notes, outputFormat = 'zip' } = req.body;
 
     console.log('🎯 Starting single card generation...');
 
@@ -53,6 +73,20 @@ router.post('/generate-single-card', async (req, res) => {
       });
     }
 
+    if (reason && !ISSUANCE_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid reason. Allowed: ${ISSUANCE_REASONS.join(', ')}`
+      });
+    }
+
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid output format. Allowed: ${OUTPUT_FORMATS.join(', ')}`
+      });
+    }
+
     // Parse coordinates
     let parsedCoordinates = {};
     try {
@@ -68,18 +102,49 @@ router.post('/generate-single-card', async (req, res) => {
     if (!template) throw new Error('Template not found');
     if (!student) throw new Error('Student not found');
 
-    console.log(`🖼️ Generating card for: ${student.name}`);
+    // Saved template layout unless the caller overrides it with coordinates
+    const layout = resolveLayout(template, parsedCoordinates);
+    if (!layout) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template has no saved layout. Save a layout or send coordinates.'
+      });
+    }
 
-    // Use student's Cloudinary photo
-    const studentPhotoUrl = student.photo_url;
+    console.log(`🖼️ Generating card for: ${student.name}`);
 
-    // Generate card
-    const { frontBuffer, backBuffer } = await generateCardsWithCloudinary(
+    // Generate card and record it in the issuance ledger
+    const { frontBuffer, backBuffer, issuance } = await issueCard({
       student,
       template,
-      parsedCoordinates,
-      studentPhotoUrl
-    );
+      layout,
+      reason,
+      notes,
+      generatedBy: req.user?._id
+    });
+
+    await auditService.record(req, {
+      action: 'card.generate',
+      entityType: 'card',
+      entityId: issuance.serialNumber,
+      entityLabel: student.student_id,
+      metadata: { reason: issuance.reason, template: template.name, layoutVersion: layout.version, outputFormat }
+    });
+
+    if (outputFormat !== 'zip') {
+      const pdfBuffer = await buildPdfOutput([{ front: frontBuffer, back: backBuffer }], outputFormat, req.body);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${student.student_id}-id-card.pdf"`,
+        'Content-Length': pdfBuffer.length,
+        'X-Card-Serial': issuance.serialNumber
+      });
+
+      res.send(pdfBuffer);
+      console.log(`📥 Card PDF sent for ${student.name}`);
+      return;
+    }
 
     // Create ZIP
     const zipBuffer = await createZipInMemory([
@@ -87,20 +152,12 @@ router.post('/generate-single-card', async (req, res) => {
       { name: `${student.student_id}/back-side.png`, buffer: backBuffer }
     ]);
 
-    // Update student tracking
-    student.card_generated = true;
-    student.card_generation_count = (student.card_generation_count || 0) + 1;
-    student.last_card_generated = new Date();
-    if (!student.first_card_generated) {
-      student.first_card_generated = new Date();
-    }
-    await student.save();
-
     // Send response
     res.set({
       'Content-Type': 'application/zip',
       'Content-Disposition': `attachment; filename="${student.student_id}-id-card.zip"`,
-      'Content-Length': zipBuffer.length
+      'Content-Length': zipBuffer.length,
+      'X-Card-Serial': issuance.serialNumber
     });
 
     res.send(zipBuffer);
@@ -112,39 +169,50 @@ router.post('/generate-single-card', async (req, res) => {
   }
 });
 
-// ✅ 2. BATCH PROCESSING - COMPLETE APPROACH A
-router.post('/process-csv-generate', upload.fields([
+// ✅ 2. BATCH PROCESSING - COMPLETE APPROACH A (CSV or XLSX in the "csv" field)
+router.post('/process-csv-generate', authMiddleware, capabilityMiddleware('cards:print', 'students:import'), upload.fields([
   { name: 'csv', maxCount: 1 },
   { name: 'photoZip', maxCount: 1 }
 ]), async (req, res) => {
   try {
     console.log('🚀 Starting Approach A - All-in-one batch processing with Cloudinary...');
 
-    // ==================== VALIDATION ====================
-    if (!req.files || !req.files.csv) {
-      return res.status(400).json({
-        success: false,
-        error: 'CSV file is required'
-      });
+    // ==================== DRY RUN (report only, nothing written) ====================
+    if (req.body.dryRun === true || req.body.dryRun === 'true') {
+      if (!req.files || !req.files.csv) {
+        return res.status(400).json({ success: false, error: 'CSV file is required' });
+      }
+
+      const profile = await loadImportProfile(req.body.importProfileId);
+      const report = await buildImportPreview(req.files.csv[0], req.files.photoZip?.[0]?.buffer, profile);
+      return res.json({ success: true, dryRun: true, ...report });
     }
 
-    if (!req.body.templateId) {
+    // ==================== VALIDATION ====================
+    const validationError = validateBatchRequest(req);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Template ID is required'
+        error: validationError
       });
     }
 
+    const outputFormat = req.body.outputFormat || 'zip';
+
     console.log('📁 Files received:', {
       csvSize: `${(req.files.csv[0].size / 1024).toFixed(2)} KB`,
       hasPhotoZip: !!req.files.photoZip,
       templateId: req.body.templateId
     });
 
-    // ==================== PARSE CSV ====================
-    console.log('📊 Parsing CSV from buffer...');
-    const students = await parseCSVFromBuffer(req.files.csv[0].buffer);
-    console.log(`✅ Parsed ${students.length} students from CSV`);
+    // ==================== PARSE CSV / XLSX ====================
+    console.log('📊 Parsing student file from buffer...');
+    const importProfile = await loadImportProfile(req.body.importProfileId);
+    const students = await studentImportService.parseStudents(req.files.csv[0].buffer, {
+      filename: req.files.csv[0].originalname,
+      profile: importProfile
+    });
+    console.log(`✅ Parsed ${students.length} students${importProfile ? ` using profile "${importProfile.name}"` : ''}`);
 
     // ==================== EXTRACT & UPLOAD PHOTOS TO CLOUDINARY ====================
     let photoCloudinaryMap = {}; // student_id -> { url, public_id, metadata }
@@ -157,62 +225,20 @@ router.post('/process-csv-generate', upload.fields([
 
     // ==================== SAVE STUDENTS WITH CLOUDINARY DATA ====================
     console.log('💾 Saving/updating students in database...');
-    const savedStudents = [];
-    
-    for (const studentData of students) {
-      try {
-        const existingStudent = await Student.findOne({ student_id: studentData.student_id });
-        const cloudinaryPhoto = photoCloudinaryMap[studentData.student_id];
-        
-        if (existingStudent) {
-          // Update existing student
-          Object.assign(existingStudent, studentData);
-          
-          // Update Cloudinary photo if available
-          if (cloudinaryPhoto) {
-            existingStudent.photo_url = cloudinaryPhoto.secure_url;
-            existingStudent.photo_public_id = cloudinaryPhoto.public_id;
-            existingStudent.photo_metadata = {
-              width: cloudinaryPhoto.width,
-              height: cloudinaryPhoto.height,
-              format: cloudinaryPhoto.format,
-              bytes: cloudinaryPhoto.bytes
-            };
-            existingStudent.has_photo = true;
-            existingStudent.photo_uploaded_at = new Date();
-          }
-          
-          await existingStudent.save();
-          savedStudents.push(existingStudent);
-          
-          console.log(`✅ Updated student: ${studentData.name} ${cloudinaryPhoto ? '(+photo)' : ''}`);
-        } else {
-          // Create new student with Cloudinary data
-          const student = new Student({
-            ...studentData,
-            photo_url: cloudinaryPhoto ? cloudinaryPhoto.secure_url : null,
-            photo_public_id: cloudinaryPhoto ? cloudinaryPhoto.public_id : null,
-            photo_metadata: cloudinaryPhoto ? {
-              width: cloudinaryPhoto.width,
-              height: cloudinaryPhoto.height,
-              format: cloudinaryPhoto.format,
-              bytes: cloudinaryPhoto.bytes
-            } : null,
-            has_photo: !!cloudinaryPhoto,
-            photo_uploaded_at: cloudinaryPhoto ? new Date() : null
-          });
-          
-          await student.save();
-          savedStudents.push(student);
-          
-          console.log(`✅ Created student: ${studentData.name} ${cloudinaryPhoto ? '(+photo)' : ''}`);
-        }
-      } catch (error) {
-        console.error(`❌ Failed to save student ${studentData.student_id}:`, error.message);
-      }
-    }
+    const savedStudents = await saveImportedStudents(students, photoCloudinaryMap);
 
     console.log(`✅ Total students saved: ${savedStudents.length}`);
+    await auditService.record(req, {
+      action: 'student.import',
+      entityType: 'student',
+      metadata: {
+        filename: req.files.csv[0].originalname,
+        importProfile: importProfile?.name,
+        rows: students.length,
+        saved: savedStudents.length,
+        photos: Object.keys(photoCloudinaryMap).length
+      }
+    });
 
     // ==================== GET TEMPLATE ====================
     const template = await Template.findById(req.body.templateId);
@@ -225,52 +251,64 @@ router.post('/process-csv-generate', upload.fields([
 
     console.log(`🎨 Using template: ${template.name}`);
 
-    // ==================== PARSE COORDINATES ====================
-    const coordinates = req.body.coordinates ? JSON.parse(req.body.coordinates) : {};
+    // ==================== RESOLVE LAYOUT ====================
+    let coordinates;
+    try {
+      coordinates = req.body.coordinates ? JSON.parse(req.body.coordinates) : {};
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: `coordinates must be valid JSON: ${parseError.message}` });
+    }
+    const layout = resolveLayout(template, coordinates);
+    if (!layout) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template has no saved layout. Save a layout or send coordinates.'
+      });
+    }
+    console.log(`📐 Using ${layout.version ? `saved layout v${layout.version}` : 'request coordinates'}`);
 
     // ==================== GENERATE CARDS ====================
     console.log('🎨 Generating ID cards...');
-    
-    // Set response headers for ZIP stream
-    res.set({
-      'Content-Type': 'application/zip',
-      'Content-Disposition': `attachment; filename="batch-id-cards-${Date.now()}.zip"`
-    });
 
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    archive.pipe(res);
+    // ZIP output is streamed as cards are rendered; PDF output is imposed once all are ready
+    let archive = null;
+    const pdfCards = [];
+
+    if (outputFormat === 'zip') {
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="batch-id-cards-${Date.now()}.zip"`
+      });
+
+      archive = archiver('zip', { zlib: { level: 9 } });
+      archive.pipe(res);
+    }
 
     let generatedCount = 0;
     const totalStudents = savedStudents.length;
+    const batchId = `BATCH-${Date.now()}`;
 
     // Generate and stream each card
     for (const student of savedStudents) {
       try {
         console.log(`🔄 Generating card ${generatedCount + 1}/${totalStudents}: ${student.name}`);
         
-        // Use student's Cloudinary photo URL
-        const studentPhotoUrl = student.photo_url;
-        
-        const { frontBuffer, backBuffer } = await generateCardsWithCloudinary(
-          student, 
-          template, 
-          coordinates, 
-          studentPhotoUrl // Pass Cloudinary URL
-        );
-
-        // Add to ZIP stream
-        archive.append(frontBuffer, { name: `${student.student_id}/front-side.png` });
-        archive.append(backBuffer, { name: `${student.student_id}/back-side.png` });
-
-        // Update student card generation stats
-        student.card_generated = true;
-        student.card_generation_count = (student.card_generation_count || 0) + 1;
-        student.last_card_generated = new Date();
-        if (!student.first_card_generated) {
-          student.first_card_generated = new Date();
+        const { frontBuffer, backBuffer } = await issueCard({
+          student,
+          template,
+          layout,
+          reason: req.body.reason,
+          generatedBy: req.user?._id,
+          batchId
+        });
+
+        if (archive) {
+          // Add to ZIP stream
+          archive.append(frontBuffer, { name: `${student.student_id}/front-side.png` });
+          archive.append(backBuffer, { name: `${student.student_id}/back-side.png` });
+        } else {
+          pdfCards.push({ front: frontBuffer, back: backBuffer });
         }
-        
-        await student.save();
 
         generatedCount++;
         console.log(`✅ Generated card for ${student.name}`);
@@ -280,6 +318,27 @@ router.post('/process-csv-generate', upload.fields([
       }
     }
 
+    await auditService.record(req, {
+      action: 'card.generate-batch',
+      entityType: 'card',
+      entityId: batchId,
+      metadata: { template: template.name, layoutVersion: layout.version, generated: generatedCount, total: totalStudents, outputFormat }
+    });
+
+    if (!archive) {
+      const pdfBuffer = await buildPdfOutput(pdfCards, outputFormat, req.body);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="batch-id-cards-${Date.now()}.pdf"`,
+        'Content-Length': pdfBuffer.length
+      });
+      res.send(pdfBuffer);
+      console.log(`📥 Sent PDF with ${generatedCount} cards`);
+      console.log('✅ Approach A - Batch processing completed successfully!');
+      return;
+    }
+
     // Finalize ZIP
     archive.finalize();
     console.log(`📥 Streaming ${generatedCount} cards to download`);
@@ -287,7 +346,7 @@ router.post('/process-csv-generate', upload.fields([
 
   } catch (error) {
     console.error('❌ Batch processing error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -295,27 +354,56 @@ router.post('/process-csv-generate', upload.fields([
   }
 });
 
-// ✅ 3. CARD HISTORY
-router.get('/history', async (req, res) => {
+// ✅ 3. CARD HISTORY (issuance ledger, filterable by status/reason/date/batch)
+router.get('/history', authMiddleware, capabilityMiddleware('cards:read'), async (req, res) => {
   try {
     console.log('📊 Getting card history...');
-    
-    const stats = await Student.aggregate([
-      {
-        $match: {
-          card_generated: true,
-          card_generation_count: { $gt: 0 }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalStudentsWithCards: { $sum: 1 },
-          totalCardsGenerated: { $sum: '$card_generation_count' },
-          averageCardsPerStudent: { $avg: '$card_generation_count' },
-          maxCardsGenerated: { $max: '$card_generation_count' }
+
+    const { status, reason, batchId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (reason) filter.reason = reason;
+    if (batchId) filter.batchId = batchId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [stats, byReason, byStatus, total, issuances] = await Promise.all([
+      CardIssuance.aggregate([
+        { $match: filter },
+        { $group: { _id: '$student', cards: { $sum: 1 } } },
+        {
+          $group: {
+            _id: null,
+            totalStudentsWithCards: { $sum: 1 },
+            totalCardsGenerated: { $sum: '$cards' },
+            averageCardsPerStudent: { $avg: '$cards' },
+            maxCardsGenerated: { $max: '$cards' }
+          }
         }
-      }
+      ]),
+      CardIssuance.aggregate([
+        { $match: filter },
+        { $group: { _id: '$reason', count: { $sum: 1 } } }
+      ]),
+      CardIssuance.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      CardIssuance.countDocuments(filter),
+      CardIssuance.find(filter)
+        .populate('student', 'student_id name class level')
+        .populate('template', 'name')
+        .populate('generatedBy', 'firstName lastName username')
+        .populate('revokedBy', 'firstName lastName username')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
     ]);
 
     const result = stats[0] || {
@@ -332,9 +420,18 @@ router.get('/history', async (req, res) => {
         totalStudents: result.totalStudentsWithCards,
         averageCardsPerStudent: Math.round(result.averageCardsPerStudent * 100) / 100,
         maxCardsByStudent: result.maxCardsGenerated,
+        byReason: Object.fromEntries(byReason.map(r => [r._id, r.count])),
+        byStatus: Object.fromEntries(byStatus.map(s => [s._id, s.count])),
         status: 'fulfilled'
       },
-      summary: `Total ${result.totalCardsGenerated} cards generated by ${result.totalStudentsWithCards} students`
+      summary: `Total ${result.totalCardsGenerated} cards generated by ${result.totalStudentsWithCards} students`,
+      issuances,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
 
   } catch (error) {
@@ -344,17 +441,25 @@ router.get('/history', async (req, res) => {
 });
 
 // ✅ 4. GET STUDENT CARD HISTORY
-router.get('/history/student/:studentId', async (req, res) => {
+router.get('/history/student/:studentId', authMiddleware, capabilityMiddleware('cards:read'), async (req, res) => {
   try {
     const { studentId } = req.params;
 
     const student = await Student.findById(studentId)
-      .select('student_id name class level card_generation_count last_card_generated first_card_generated createdAt');
+      .select('student_id name class level card_generated card_generation_count last_card_generated first_card_generated createdAt');
 
     if (!student) {
       return res.status(404).json({ success: false, error: 'Student not found' });
     }
 
+    const issuances = await CardIssuance.find({ student: student._id })
+      .populate('template', 'name')
+      .populate('generatedBy', 'firstName lastName username')
+      .populate('revokedBy', 'firstName lastName username')
+      .sort({ createdAt: -1 });
+
+    const activeCard = issuances.find(issuance => issuance.getEffectiveStatus() === 'active');
+
     res.json({
       success: true,
       student: {
@@ -369,11 +474,13 @@ router.get('/history/student/:studentId', async (req, res) => {
         student_since: student.createdAt
       },
       statistics: {
-        hasGeneratedCards: student.card_generated,
-        totalCards: student.card_generation_count,
-        lastGeneration: student.last_card_generated,
-        firstGeneration: student.first_card_generated
-      }
+        hasGeneratedCards: issuances.length > 0 || student.card_generated,
+        totalCards: issuances.length,
+        lastGeneration: issuances[0]?.createdAt || student.last_card_generated,
+        firstGeneration: issuances[issuances.length - 1]?.createdAt || student.first_card_generated,
+        activeSerialNumber: activeCard ? activeCard.serialNumber : null
+      },
+      issuances
     });
 
   } catch (error) {
@@ -382,22 +489,32 @@ router.get('/history/student/:studentId', async (req, res) => {
   }
 });
 
-// ✅ 6. GET ALL STUDENTS FOR DROPDOWN
-router.get('/students', async (req, res) => {
+// ✅ 6. GET STUDENTS FOR DROPDOWN (search, filters, sort, page/limit or cursor)
+router.get('/students', authMiddleware, capabilityMiddleware('students:read'), async (req, res) => {
   try {
-    const students = await Student.find().sort({ name: 1 });
+    const isPaged = ['page', 'limit', 'cursor'].some(param => req.query[param] !== undefined);
+    const result = await Student.paginate(req.query, { defaultSort: 'name', unpaged: !isPaged });
 
+    res.set('X-Total-Count', String(result.total));
     res.json({
       success: true,
-      students: students
+      students: result.students,
+      pagination: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        hasMore: result.hasMore,
+        nextCursor: result.nextCursor
+      }
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
 });
 
 // ✅ 7. GET STUDENT PHOTO FROM CLOUDINARY
-router.get('/student-photo/:studentId', async (req, res) => {
+router.get('/student-photo/:studentId', authMiddleware, capabilityMiddleware('students:read'), async (req, res) => {
   try {
     const { studentId } = req.params;
     const student = await Student.findById(studentId);
@@ -416,7 +533,7 @@ router.get('/student-photo/:studentId', async (req, res) => {
 });
 
 // ✅ 8. GET TEMPLATE DIMENSIONS FROM CLOUDINARY
-router.get('/template-dimensions/:templateId', async (req, res) => {
+router.get('/template-dimensions/:templateId', authMiddleware, capabilityMiddleware('templates:read'), async (req, res) => {
   try {
     const { templateId } = req.params;
 
@@ -457,7 +574,7 @@ router.get('/template-dimensions/:templateId', async (req, res) => {
 });
 
 // ✅ 9. STUDENT PHOTO UPLOAD (Individual photo upload)
-router.post('/upload-student-photo', upload.single('photo'), async (req, res) => {
+router.post('/upload-student-photo', authMiddleware, capabilityMiddleware('students:write'), upload.single('photo'), async (req, res) => {
   try {
     const { studentId } = req.body;
     
@@ -477,6 +594,7 @@ router.post('/upload-student-photo', upload.single('photo'), async (req, res) =>
     }
 
     console.log(`📸 Uploading photo for ${student.name}...`);
+    const before = student.toObject();
 
     // Upload to Cloudinary
     const uploadResult = await cloudinary.uploader.upload(
@@ -505,6 +623,14 @@ router.post('/upload-student-photo', upload.single('photo'), async (req, res) =>
     student.photo_uploaded_at = new Date();
     
     await student.save();
+    await auditService.record(req, {
+      action: 'student.photo-upload',
+      entityType: 'student',
+      entityId: student._id,
+      entityLabel: student.student_id,
+      before,
+      after: student
+    });
 
     console.log(`✅ Photo uploaded for ${student.name}`);
 
@@ -530,94 +656,736 @@ router.post('/upload-student-photo', upload.single('photo'), async (req, res) =>
 
 
 
+// ✅ 10. PUBLIC CARD VERIFICATION (token printed on the card's QR/barcode)
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const payload = cardTokenService.verify(req.params.token);
 
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        status: 'invalid',
+        error: 'Invalid or tampered card token'
+      });
+    }
 
+    const student = await Student.findById(payload.studentId)
+      .select('student_id name class academic_year photo_public_id photo_url card_generation_count last_card_generated card_revoked card_revoked_at');
 
-// ==================== HELPER FUNCTIONS ====================
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        status: 'invalid',
+        error: 'Card holder not found'
+      });
+    }
 
-// ✅ PARSE CSV FROM BUFFER
-async function parseCSVFromBuffer(csvBuffer) {
-  return new Promise((resolve, reject) => {
-    try {
-      const students = [];
-      const csvString = csvBuffer.toString('utf-8');
-      const lines = csvString.split('\n').filter(line => line.trim());
-      
-      if (lines.length === 0) {
-        return resolve([]);
+    let status = 'valid';
+    let issuance = null;
+
+    if (payload.serialNumber) {
+      issuance = await CardIssuance.findOne({
+        serialNumber: payload.serialNumber,
+        student: student._id
+      });
+
+      if (!issuance) {
+        return res.status(404).json({
+          success: false,
+          status: 'invalid',
+          error: 'Card not found in issuance records'
+        });
       }
 
-      // Auto-detect headers (support with/without headers)
-      const firstLine = lines[0].toLowerCase();
-      let startIndex = 0;
-      
-      if (firstLine.includes('student_id') || firstLine.includes('name')) {
-        // Has headers, skip first line
-        startIndex = 1;
+      const issuanceStatus = issuance.getEffectiveStatus();
+      status = issuanceStatus === 'active' ? 'valid' : issuanceStatus;
+    } else if (student.card_revoked) {
+      // Cards printed before the issuance ledger: only the latest generation is valid
+      status = 'revoked';
+    } else if (payload.generation < (student.card_generation_count || 0)) {
+      status = 'superseded';
+    }
+
+    res.json({
+      success: true,
+      status,
+      valid: status === 'valid',
+      student: {
+        student_id: student.student_id,
+        name: student.name,
+        class: student.class,
+        academic_year: student.academic_year,
+        photo_url: student.photo_public_id
+          ? cloudinary.url(student.photo_public_id, {
+              width: 200,
+              height: 200,
+              crop: 'fill',
+              gravity: 'face',
+              quality: 'auto',
+              fetch_format: 'auto'
+            })
+          : student.photo_url || null
+      },
+      card: issuance ? {
+        serialNumber: issuance.serialNumber,
+        issuedAt: issuance.createdAt,
+        expiresAt: issuance.expiresAt,
+        revokedAt: issuance.revokedAt
+      } : {
+        generation: payload.generation,
+        latestGeneration: student.card_generation_count || 0,
+        lastIssuedAt: student.last_card_generated,
+        revokedAt: student.card_revoked ? student.card_revoked_at : null
       }
+    });
 
-      for (let i = startIndex; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
+  } catch (error) {
+    console.error('❌ Card verification error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-        // Simple CSV parsing (supports quoted fields)
-        const values = parseCSVLine(line);
-        
-        // Map values to student object
-        const student = {
-          student_id: values[0] || `STU${i.toString().padStart(3, '0')}`,
-          name: values[1] || 'Unknown Student',
-          class: values[2] || 'N/A',
-          level: values[3] || 'N/A',
-          residence: values[4] || 'N/A',
-          gender: values[5] || 'N/A',
-          academic_year: values[6] || '2024',
-          parent_phone: values[7] || ''
-        };
-
-        students.push(student);
+// ✅ 11. REVOKE / REINSTATE A STUDENT'S CARD
+router.patch('/revoke/:studentId', authMiddleware, capabilityMiddleware('cards:revoke'), async (req, res) => {
+  try {
+    // A bodyless PATCH revokes; form and query-style clients send the flag as a string
+    const { reason, revoked: flag = true } = req.body || {};
+    if (![true, false, 'true', 'false'].includes(flag)) {
+      return res.status(400).json({ success: false, error: 'revoked must be true or false' });
+    }
+    const revoked = flag === true || flag === 'true';
+
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+
+    student.card_revoked = revoked;
+    student.card_revoked_at = revoked ? new Date() : null;
+    student.card_revocation_reason = revoked ? (reason || '') : null;
+    await student.save();
+
+    // Revoke every card still in circulation (reinstating requires a reprint)
+    if (revoked) {
+      await CardIssuance.updateMany(
+        { student: student._id, status: 'active' },
+        {
+          $set: {
+            status: 'revoked',
+            revokedAt: student.card_revoked_at,
+            revokedBy: req.user?._id,
+            revocationReason: reason || ''
+          }
+        }
+      );
+    }
+
+    console.log(`🚫 Card ${revoked ? 'revoked' : 'reinstated'} for ${student.name}`);
+    await auditService.record(req, {
+      action: revoked ? 'card.revoke-student' : 'card.reinstate-student',
+      entityType: 'student',
+      entityId: student._id,
+      entityLabel: student.student_id,
+      metadata: { reason: reason || '' }
+    });
+
+    res.json({
+      success: true,
+      message: `Card ${revoked ? 'revoked' : 'reinstated'} for ${student.name}`,
+      student: {
+        id: student._id,
+        name: student.name,
+        card_revoked: student.card_revoked,
+        card_revoked_at: student.card_revoked_at
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Card revocation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ 12. REVOKE A SINGLE ISSUED CARD BY SERIAL NUMBER
+router.patch('/issuances/:serialNumber/revoke', authMiddleware, capabilityMiddleware('cards:revoke'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const issuance = await CardIssuance.findOne({ serialNumber: req.params.serialNumber })
+      .populate('student', 'student_id name');
+
+    if (!issuance) {
+      return res.status(404).json({ success: false, error: 'Card issuance not found' });
+    }
+
+    if (issuance.status === 'revoked') {
+      return res.status(400).json({ success: false, error: 'Card is already revoked' });
+    }
+
+    issuance.status = 'revoked';
+    issuance.revokedAt = new Date();
+    issuance.revokedBy = req.user?._id;
+    issuance.revocationReason = reason || '';
+    await issuance.save();
+
+    console.log(`🚫 Card ${issuance.serialNumber} revoked for ${issuance.student?.name}`);
+    await auditService.record(req, {
+      action: 'card.revoke',
+      entityType: 'card',
+      entityId: issuance.serialNumber,
+      entityLabel: issuance.student?.student_id,
+      metadata: { reason: reason || '' }
+    });
+
+    res.json({
+      success: true,
+      message: `Card ${issuance.serialNumber} revoked`,
+      issuance
+    });
+
+  } catch (error) {
+    console.error('❌ Card issuance revocation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ 13. IMPORT PREVIEW (dry run of CSV + photo ZIP, nothing is written)
+router.post('/import-preview', authMiddleware, capabilityMiddleware('students:import'), upload.fields([
+  { name: 'csv', maxCount: 1 },
+  { name: 'photoZip', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    if (!req.files || !req.files.csv) {
+      return res.status(400).json({ success: false, error: 'CSV file is required' });
+    }
+
+    const profile = await loadImportProfile(req.body.importProfileId);
+    const report = await buildImportPreview(req.files.csv[0], req.files.photoZip?.[0]?.buffer, profile);
+    res.json({ success: true, dryRun: true, ...report });
+
+  } catch (error) {
+    console.error('❌ Import preview error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ 14. SUBMIT BATCH GENERATION JOB (same fields as /process-csv-generate)
+router.post('/jobs', authMiddleware, capabilityMiddleware('cards:print', 'students:import'), upload.fields([
+  { name: 'csv', maxCount: 1 },
+  { name: 'photoZip', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    const validationError = validateBatchRequest(req);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    // Resolve template and layout up front so the job can't fail on them later
+    const template = await Template.findById(req.body.templateId);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    let coordinates;
+    try {
+      coordinates = req.body.coordinates ? JSON.parse(req.body.coordinates) : {};
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: `coordinates must be valid JSON: ${parseError.message}` });
+    }
+    const layout = resolveLayout(template, coordinates);
+    if (!layout) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template has no saved layout. Save a layout or send coordinates.'
+      });
+    }
+
+    const importProfile = await loadImportProfile(req.body.importProfileId);
+
+    const job = new CardJob({
+      template: template._id,
+      outputFormat: req.body.outputFormat || 'zip',
+      createdBy: req.user?._id,
+      input: {
+        csvFilename: req.files.csv[0].originalname,
+        photoZipFilename: req.files.photoZip?.[0]?.originalname
       }
+    });
+    job.batchId = `BATCH-${job._id}`;
+    await job.save();
 
-      resolve(students);
+    const queuePosition = cardJobService.enqueue(job, (runningJob) => runCardBatchJob(runningJob, {
+      csvFile: req.files.csv[0],
+      importProfile,
+      photoZipBuffer: req.files.photoZip?.[0]?.buffer,
+      template,
+      layout,
+      reason: req.body.reason,
+      printOptions: req.body,
+      auditRequest: req
+    }));
+
+    console.log(`📥 Queued card job ${job._id} (position ${queuePosition})`);
+    await auditService.record(req, {
+      action: 'card-job.create',
+      entityType: 'card-job',
+      entityId: job._id,
+      entityLabel: job.batchId,
+      metadata: { template: template.name, outputFormat: job.outputFormat, csvFilename: job.input.csvFilename }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Batch generation job queued',
+      jobId: job._id,
+      queuePosition,
+      statusUrl: `/api/card/jobs/${job._id}`
+    });
+
+  } catch (error) {
+    console.error('❌ Card job submission error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ 15. LIST RECENT BATCH JOBS
+router.get('/jobs', authMiddleware, capabilityMiddleware('cards:read'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const jobs = await CardJob.find(filter)
+      .select('-failures -artifact.path')
+      .populate('template', 'name')
+      .populate('createdBy', 'firstName lastName username')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('❌ Card job list error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ 16. POLL BATCH JOB PROGRESS AND FAILURES
+router.get('/jobs/:id', authMiddleware, capabilityMiddleware('cards:read'), async (req, res) => {
+  try {
+    const job = await CardJob.findById(req.params.id)
+      .select('-artifact.path')
+      .populate('template', 'name')
+      .populate('createdBy', 'firstName lastName username');
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    const { total, processed } = job.progress;
+
+    res.json({
+      success: true,
+      job,
+      percent: total > 0 ? Math.round((processed / total) * 100) : 0,
+      queuePosition: job.status === 'queued' ? cardJobService.getQueuePosition(job._id) : null,
+      downloadUrl: job.status === 'completed' && job.artifact?.filename
+        ? `/api/card/jobs/${job._id}/download`
+        : null
+    });
+  } catch (error) {
+    console.error('❌ Card job status error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ 17. DOWNLOAD FINISHED BATCH JOB ARTIFACT
+router.get('/jobs/:id/download', authMiddleware, capabilityMiddleware('cards:print'), async (req, res) => {
+  try {
+    const job = await CardJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: `Job is ${job.status}; the download is available once it completes`
+      });
+    }
+
+    if (!job.artifact?.path || !fs.existsSync(job.artifact.path)) {
+      return res.status(410).json({
+        success: false,
+        error: 'The generated file has expired. Please resubmit the batch.'
+      });
+    }
+
+    res.set('Content-Type', job.artifact.contentType);
+    res.download(job.artifact.path, job.artifact.filename);
+
+  } catch (error) {
+    console.error('❌ Card job download error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+
+
+
+// ==================== HELPER FUNCTIONS ====================
+
+// ✅ VALIDATE BATCH REQUEST (returns an error message, or null when valid)
+function validateBatchRequest(req) {
+  if (!req.files || !req.files.csv) {
+    return 'CSV file is required';
+  }
+
+  if (!req.body.templateId) {
+    return 'Template ID is required';
+  }
+
+  if (req.body.reason && !ISSUANCE_REASONS.includes(req.body.reason)) {
+    return `Invalid reason. Allowed: ${ISSUANCE_REASONS.join(', ')}`;
+  }
+
+  const outputFormat = req.body.outputFormat || 'zip';
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    return `Invalid output format. Allowed: ${OUTPUT_FORMATS.join(', ')}`;
+  }
+
+  return null;
+}
+
+// ✅ SAVE IMPORTED STUDENTS (create or update, attaching uploaded photos)
+async function saveImportedStudents(students, photoCloudinaryMap, failures = []) {
+  const savedStudents = [];
+
+  for (const studentData of students) {
+    try {
+      // Re-importing a trashed student brings it back
+      const existingStudent = await Student.findOne({ student_id: studentData.student_id })
+        .setOptions({ withDeleted: true });
+      const cloudinaryPhoto = photoCloudinaryMap[studentData.student_id];
+
+      if (existingStudent) {
+        // Update existing student
+        Object.assign(existingStudent, studentData);
+        if (existingStudent.deletedAt) {
+          existingStudent.deletedAt = null;
+          existingStudent.deletedBy = undefined;
+          existingStudent.deleteBatch = undefined;
+        }
+
+        // Update Cloudinary photo if available
+        if (cloudinaryPhoto) {
+          existingStudent.photo_url = cloudinaryPhoto.secure_url;
+          existingStudent.photo_public_id = cloudinaryPhoto.public_id;
+          existingStudent.photo_metadata = {
+            width: cloudinaryPhoto.width,
+            height: cloudinaryPhoto.height,
+            format: cloudinaryPhoto.format,
+            bytes: cloudinaryPhoto.bytes
+          };
+          existingStudent.has_photo = true;
+          existingStudent.photo_uploaded_at = new Date();
+        }
+
+        await existingStudent.save();
+        savedStudents.push(existingStudent);
+
+        console.log(`✅ Updated student: ${studentData.name} ${cloudinaryPhoto ? '(+photo)' : ''}`);
+      } else {
+        // Create new student with Cloudinary data
+        const student = new Student({
+          ...studentData,
+          photo_url: cloudinaryPhoto ? cloudinaryPhoto.secure_url : null,
+          photo_public_id: cloudinaryPhoto ? cloudinaryPhoto.public_id : null,
+          photo_metadata: cloudinaryPhoto ? {
+            width: cloudinaryPhoto.width,
+            height: cloudinaryPhoto.height,
+            format: cloudinaryPhoto.format,
+            bytes: cloudinaryPhoto.bytes
+          } : null,
+          has_photo: !!cloudinaryPhoto,
+          photo_uploaded_at: cloudinaryPhoto ? new Date() : null
+        });
+
+        await student.save();
+        savedStudents.push(student);
+
+        console.log(`✅ Created student: ${studentData.name} ${cloudinaryPhoto ? '(+photo)' : ''}`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to save student ${studentData.student_id}:`, error.message);
+      failures.push({
+        student_id: studentData.student_id,
+        name: studentData.name,
+        stage: 'save',
+        error: error.message
+      });
+    }
+  }
+
+  return savedStudents;
+}
+
+// ✅ RUN ONE QUEUED BATCH JOB (parse → photos → students → cards → artifact)
+async function runCardBatchJob(job, { csvFile, importProfile, photoZipBuffer, template, layout, reason, printOptions, auditRequest }) {
+  const failures = [];
+
+  const setStage = async (stage) => {
+    job.progress.stage = stage;
+    job.failures = failures;
+    await job.save();
+  };
+
+  await setStage('parsing');
+  const students = await studentImportService.parseStudents(csvFile.buffer, {
+    filename: csvFile.originalname,
+    profile: importProfile
+  });
+  job.progress.total = students.length;
+
+  let photoCloudinaryMap = {};
+  if (photoZipBuffer) {
+    await setStage('uploading-photos');
+    photoCloudinaryMap = await extractAndUploadPhotosToCloudinary(photoZipBuffer, failures);
+  }
+
+  await setStage('saving-students');
+  const savedStudents = await saveImportedStudents(students, photoCloudinaryMap, failures);
+  await auditService.record(auditRequest, {
+    action: 'student.import',
+    entityType: 'student',
+    metadata: {
+      filename: csvFile.originalname,
+      importProfile: importProfile?.name,
+      cardJob: String(job._id),
+      rows: students.length,
+      saved: savedStudents.length,
+      photos: Object.keys(photoCloudinaryMap).length
+    }
+  });
+
+  // Students that could not be saved are done (and failed) already
+  job.progress.processed = students.length - savedStudents.length;
+  job.progress.failed = job.progress.processed;
+  await setStage('rendering');
+
+  const cards = [];
+  for (const student of savedStudents) {
+    try {
+      const { frontBuffer, backBuffer } = await issueCard({
+        student,
+        template,
+        layout,
+        reason,
+        generatedBy: job.createdBy,
+        batchId: job.batchId
+      });
+
+      cards.push({ student_id: student.student_id, front: frontBuffer, back: backBuffer });
+      job.progress.succeeded++;
     } catch (error) {
-      reject(new Error(`CSV parsing failed: ${error.message}`));
+      failures.push({
+        student_id: student.student_id,
+        name: student.name,
+        stage: 'render',
+        error: error.message
+      });
+      job.progress.failed++;
+    }
+
+    job.progress.processed++;
+    job.failures = failures;
+    await job.save();
+  }
+
+  await setStage('packaging');
+
+  if (job.outputFormat === 'zip') {
+    const zipBuffer = await createZipInMemory(cards.flatMap(card => [
+      { name: `${card.student_id}/front-side.png`, buffer: card.front },
+      { name: `${card.student_id}/back-side.png`, buffer: card.back }
+    ]));
+    await cardJobService.saveArtifact(job, zipBuffer, { extension: 'zip', contentType: 'application/zip' });
+  } else {
+    const pdfBuffer = await buildPdfOutput(cards, job.outputFormat, printOptions);
+    await cardJobService.saveArtifact(job, pdfBuffer, { extension: 'pdf', contentType: 'application/pdf' });
+  }
+
+  job.failures = failures;
+  await auditService.record(auditRequest, {
+    action: 'card.generate-batch',
+    entityType: 'card',
+    entityId: job.batchId,
+    metadata: {
+      cardJob: String(job._id),
+      template: template.name,
+      layoutVersion: layout.version,
+      generated: job.progress.succeeded,
+      total: job.progress.total,
+      outputFormat: job.outputFormat
     }
   });
 }
 
-// ✅ SIMPLE CSV LINE PARSER
-function parseCSVLine(line) {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    const nextChar = line[i + 1];
-
-    if (char === '"' && inQuotes && nextChar === '"') {
-      // Escaped quote
-      current += '"';
-      i++; // Skip next char
-    } else if (char === '"') {
-      // Quote
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      // Comma outside quotes = field delimiter
-      values.push(current.trim());
-      current = '';
+// ✅ BUILD IMPORT PREVIEW (what a CSV + photo ZIP import would change)
+async function buildImportPreview(csvFile, photoZipBuffer, profile) {
+  const parsed = await studentImportService.parseRecords(csvFile.buffer, {
+    filename: csvFile.originalname,
+    profile
+  });
+  const incoming = parsed.records.map(entry => ({
+    ...entry,
+    student: studentImportService.applyDefaults(entry.record)
+  }));
+
+  // Rows sharing a student_id (the later row would overwrite the earlier one)
+  const rowsById = {};
+  incoming.forEach(({ row, student }) => {
+    if (!student.student_id) return;
+    (rowsById[student.student_id] = rowsById[student.student_id] || []).push(row);
+  });
+  const duplicates = Object.entries(rowsById)
+    .filter(([, rows]) => rows.length > 1)
+    .map(([student_id, rows]) => ({ student_id, rows }));
+
+  const missingFields = [];
+  const malformedPhones = [];
+  incoming.forEach(({ row, record, student }) => {
+    const missing = ['student_id', 'name', 'class'].filter(field => !record[field]);
+    if (missing.length > 0) {
+      missingFields.push({ row, student_id: student.student_id, fields: missing });
+    }
+    if (record.parent_phone && !isValidParentPhone(record.parent_phone)) {
+      malformedPhones.push({ row, student_id: student.student_id, parent_phone: record.parent_phone });
+    }
+  });
+
+  // Compare against what is already stored (trashed students are restored by the import)
+  const existingStudents = await Student.find({
+    student_id: { $in: Object.keys(rowsById) }
+  }).setOptions({ withDeleted: true });
+  const existingById = Object.fromEntries(existingStudents.map(student => [student.student_id, student]));
+
+  const newStudents = [];
+  const restoredStudents = [];
+  const updatedStudents = [];
+  const unchangedStudents = [];
+  incoming.forEach(({ row, student }) => {
+    if (!student.student_id) return; // Reported under missingFields, can't be imported
+
+    const existing = existingById[student.student_id];
+    if (!existing) {
+      newStudents.push({ row, student_id: student.student_id, name: student.name });
+      return;
+    }
+
+    const changes = IMPORT_FIELDS
+      .filter(field => (existing[field] ?? '') !== student[field])
+      .map(field => ({ field, from: existing[field] ?? null, to: student[field] }));
+
+    if (existing.deletedAt) {
+      restoredStudents.push({ row, student_id: student.student_id, name: existing.name, deletedAt: existing.deletedAt, changes });
+    } else if (changes.length > 0) {
+      updatedStudents.push({ row, student_id: student.student_id, name: existing.name, changes });
     } else {
-      current += char;
+      unchangedStudents.push({ row, student_id: student.student_id, name: existing.name });
     }
+  });
+
+  // Photos are matched to students by file name (STU001.jpg → STU001)
+  const photos = photoZipBuffer ? await listPhotosInZip(photoZipBuffer) : { byStudentId: {}, skipped: [] };
+  const unmatchedPhotos = Object.entries(photos.byStudentId)
+    .filter(([studentId]) => !rowsById[studentId])
+    .map(([, fileName]) => fileName);
+  const studentsWithoutPhoto = incoming
+    .filter(({ student }) => student.student_id && !photos.byStudentId[student.student_id] && !existingById[student.student_id]?.has_photo)
+    .map(({ row, student }) => ({ row, student_id: student.student_id, name: student.name }));
+
+  return {
+    importProfile: profile ? { id: profile._id, name: profile.name } : null,
+    columnMapping: {
+      hasHeader: parsed.hasHeader,
+      columns: parsed.columns,
+      missingColumns: parsed.missingColumns,
+      ignoredHeaders: parsed.ignoredHeaders
+    },
+    summary: {
+      totalRows: incoming.length,
+      newStudents: newStudents.length,
+      restoredStudents: restoredStudents.length,
+      updatedStudents: updatedStudents.length,
+      unchangedStudents: unchangedStudents.length,
+      duplicateIds: duplicates.length,
+      rowsWithMissingFields: missingFields.length,
+      malformedPhones: malformedPhones.length,
+      photosInZip: Object.keys(photos.byStudentId).length,
+      unmatchedPhotos: unmatchedPhotos.length,
+      studentsWithoutPhoto: studentsWithoutPhoto.length,
+      hasBlockingIssues: duplicates.length > 0 || missingFields.length > 0
+    },
+    newStudents,
+    restoredStudents,
+    updatedStudents,
+    unchangedStudents,
+    duplicates,
+    missingFields,
+    malformedPhones,
+    unmatchedPhotos,
+    skippedPhotoFiles: photos.skipped,
+    studentsWithoutPhoto
+  };
+}
+
+// ✅ LIST PHOTOS IN ZIP WITHOUT UPLOADING (same naming rules as processPhotoFile)
+async function listPhotosInZip(zipBuffer) {
+  const byStudentId = {};
+  const skipped = [];
+
+  const zip = new JSZip();
+  const zipData = await zip.loadAsync(zipBuffer);
+
+  for (const [fileName, file] of Object.entries(zipData.files)) {
+    if (file.dir || !fileName.match(/\.(jpg|jpeg|png|gif|bmp)$/i)) continue;
+
+    const studentId = path.parse(fileName).name;
+    if (!studentId || studentId.length < 2) {
+      skipped.push(fileName);
+      continue;
+    }
+
+    byStudentId[studentId] = fileName;
   }
 
-  // Add last field
-  values.push(current.trim());
-  return values;
+  return { byStudentId, skipped };
+}
+
+// ✅ PARENT PHONE CHECK (Rwandan mobile, or international with + / 00 prefix)
+function isValidParentPhone(phone) {
+  const cleaned = phone.replace(/[\s\-().]/g, '');
+  return /^(\+?250|0)?7\d{8}$/.test(cleaned) || /^(\+|00)\d{10,15}$/.test(cleaned);
+}
+
+// ✅ LOAD IMPORT PROFILE (requested one, else the default profile, else built-in header aliases)
+async function loadImportProfile(profileId) {
+  if (profileId) {
+    const profile = await ImportProfile.findById(profileId);
+    if (!profile) {
+      const error = new Error('Import profile not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return profile;
+  }
+
+  return ImportProfile.findOne({ isDefault: true });
 }
 
 // ✅ EXTRACT AND UPLOAD PHOTOS TO CLOUDINARY
-async function extractAndUploadPhotosToCloudinary(zipBuffer) {
+async function extractAndUploadPhotosToCloudinary(zipBuffer, failures = []) {
   const photoCloudinaryMap = {};
   
   try {
@@ -629,7 +1397,7 @@ async function extractAndUploadPhotosToCloudinary(zipBuffer) {
     // Process each file in ZIP
     for (const [fileName, file] of Object.entries(zipData.files)) {
       if (!file.dir && fileName.match(/\.(jpg|jpeg|png|gif|bmp)$/i)) {
-        filePromises.push(processPhotoFile(fileName, file, photoCloudinaryMap));
+        filePromises.push(processPhotoFile(fileName, file, photoCloudinaryMap, failures));
       }
     }
     
@@ -645,7 +1413,7 @@ async function extractAndUploadPhotosToCloudinary(zipBuffer) {
 }
 
 // ✅ PROCESS INDIVIDUAL PHOTO FILE
-async function processPhotoFile(fileName, file, photoCloudinaryMap) {
+async function processPhotoFile(fileName, file, photoCloudinaryMap, failures = []) {
   try {
     // Extract student ID from filename (e.g., "STU001.jpg" → "STU001")
     const studentId = path.parse(fileName).name;
@@ -694,11 +1462,105 @@ async function processPhotoFile(fileName, file, photoCloudinaryMap) {
     
   } catch (error) {
     console.error(`❌ Failed to process photo ${fileName}:`, error.message);
+    failures.push({
+      student_id: path.parse(fileName).name,
+      stage: 'photo',
+      error: `${fileName}: ${error.message}`
+    });
+  }
+}
+
+// ✅ ISSUE ONE CARD (render, record in the ledger, update student counters)
+async function issueCard({ student, template, layout, reason, notes, generatedBy, batchId }) {
+  const serialNumber = await CardIssuance.nextSerialNumber();
+  const previousCards = await CardIssuance.countDocuments({ student: student._id });
+
+  const { frontBuffer, backBuffer } = await generateCardsWithCloudinary(
+    student,
+    template,
+    layout,
+    student.photo_url,
+    { serialNumber }
+  );
+
+  const issuance = new CardIssuance({
+    student: student._id,
+    template: template._id,
+    layoutVersion: layout.version || null,
+    generatedBy,
+    serialNumber,
+    reason: reason || (previousCards === 0 ? 'new' : 'other'),
+    notes,
+    batchId,
+    expiresAt: CardIssuance.expiryFor()
+  });
+  await issuance.save();
+
+  // Older cards stop verifying once a new one is printed
+  await CardIssuance.updateMany(
+    { student: student._id, status: 'active', _id: { $ne: issuance._id } },
+    { $set: { status: 'superseded', supersededAt: new Date() } }
+  );
+
+  // Update student tracking (a fresh card replaces any revoked one)
+  student.card_generated = true;
+  student.card_revoked = false;
+  student.card_generation_count = (student.card_generation_count || 0) + 1;
+  student.last_card_generated = new Date();
+  if (!student.first_card_generated) {
+    student.first_card_generated = new Date();
+  }
+  await student.save();
+
+  return { frontBuffer, backBuffer, issuance };
+}
+
+// ✅ RESOLVE LAYOUT (request coordinates override the template's saved layout)
+function resolveLayout(template, coordinates) {
+  if (coordinates && Object.keys(coordinates).length > 0) {
+    return coordinatesToLayout(coordinates);
   }
+
+  const saved = template.layout;
+  if (saved && saved.version > 0 && (saved.front.length > 0 || saved.back.length > 0)) {
+    return {
+      version: saved.version,
+      front: saved.front.map(element => element.toObject ? element.toObject() : element),
+      back: saved.back.map(element => element.toObject ? element.toObject() : element)
+    };
+  }
+
+  return null;
+}
+
+// ✅ CONVERT LEGACY COORDINATES ({ photo, name, class, ... }) TO FRONT-SIDE ELEMENTS
+function coordinatesToLayout(coordinates) {
+  const textDefaults = {
+    name: { fontSize: 28, fontWeight: 'bold' },
+    class: { fontSize: 20 },
+    level: { fontSize: 20 },
+    gender: { fontSize: 18 },
+    residence: { fontSize: 18 },
+    academic_year: { fontSize: 18 }
+  };
+
+  const front = [];
+
+  if (coordinates.photo) {
+    front.push({ type: 'photo', field: 'photo', ...coordinates.photo });
+  }
+
+  for (const [field, defaults] of Object.entries(textDefaults)) {
+    if (coordinates[field]) {
+      front.push({ type: 'text', field, ...defaults, ...coordinates[field] });
+    }
+  }
+
+  return { version: null, front, back: [] };
 }
 
-// ✅ GENERATE CARDS WITH CLOUDINARY (updated to use URLs)
-async function generateCardsWithCloudinary(student, template, coordinates, studentPhotoUrl) {
+// ✅ GENERATE CARDS WITH CLOUDINARY (draws the resolved layout on both sides)
+async function generateCardsWithCloudinary(student, template, layout, studentPhotoUrl, options = {}) {
   try {
     console.log(`🎨 Generating card for ${student.name} ${studentPhotoUrl ? '(with photo)' : '(no photo)'}`);
 
@@ -707,6 +1569,32 @@ async function generateCardsWithCloudinary(student, template, coordinates, stude
     const templateWidth = templateImage.width;
     const templateHeight = templateImage.height;
 
+    // Load student photo once, shared by both sides
+    let studentPhoto = null;
+    if (studentPhotoUrl) {
+      try {
+        studentPhoto = await loadImage(studentPhotoUrl);
+      } catch (photoError) {
+        console.warn(`⚠️ Could not load Cloudinary photo for ${student.name}:`, photoError.message);
+      }
+    }
+
+    // Sign a verification token only when a code element needs it
+    const allElements = [...(layout.front || []), ...(layout.back || [])];
+    let verificationToken = null;
+    if (options.serialNumber && allElements.some(element => isCodeElement(element) && element.encode === 'verification_url')) {
+      verificationToken = cardTokenService.sign({
+        studentId: student._id,
+        serialNumber: options.serialNumber
+      });
+    }
+
+    const card = {
+      student,
+      studentPhoto,
+      verificationUrl: verificationToken ? cardTokenService.buildVerificationUrl(verificationToken) : null
+    };
+
     // Create canvas
     const canvas = createCanvas(templateWidth, templateHeight);
     const ctx = canvas.getContext('2d');
@@ -714,95 +1602,40 @@ async function generateCardsWithCloudinary(student, template, coordinates, stude
     // Draw template
     ctx.drawImage(templateImage, 0, 0, templateWidth, templateHeight);
 
-    // ✅ ADD STUDENT PHOTO FROM CLOUDINARY URL
-    if (studentPhotoUrl && coordinates.photo) {
-      try {
-        const studentPhoto = await loadImage(studentPhotoUrl);
-        const { x, y, width, height } = coordinates.photo;
-        const borderRadius = 8;
-
-        // Draw border
-        ctx.save();
-        ctx.beginPath();
-        ctx.roundRect(x - 2, y - 2, width + 4, height + 4, borderRadius + 4);
-        ctx.fillStyle = '#005800ff';
-        ctx.fill();
-        ctx.restore();
-
-        // Draw rounded photo
-        ctx.save();
-        ctx.beginPath();
-        ctx.roundRect(x, y, width, height, borderRadius);
-        ctx.clip();
-        ctx.drawImage(studentPhoto, x, y, width, height);
-        ctx.restore();
-
-        console.log(`✅ Added Cloudinary photo for ${student.name}`);
-      } catch (photoError) {
-        console.warn(`⚠️ Could not load Cloudinary photo for ${student.name}:`, photoError.message);
-        drawPhotoPlaceholder(ctx, coordinates.photo);
-      }
-    } else if (coordinates.photo) {
-      drawPhotoPlaceholder(ctx, coordinates.photo);
-    }
-
-    // ✅ ADD TEXT FIELDS
-    ctx.fillStyle = '#000000';
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'top';
-
-    // Add text helper
-    const addText = (text, coord, fontSize = 20, isBold = false) => {
-      if (!text || !coord) return;
-      
-      ctx.font = `${isBold ? 'bold' : 'normal'} ${fontSize}px "Roboto", Arial, sans-serif`;
-      
-      // Truncate if too long
-      let displayText = text.toString();
-      if (coord.maxWidth) {
-        while (ctx.measureText(displayText).width > coord.maxWidth && displayText.length > 3) {
-          displayText = displayText.slice(0, -1);
-        }
-        if (displayText !== text) displayText += '...';
-      }
-      
-      ctx.fillText(displayText, coord.x, coord.y);
-    };
-
-    // Add all student data
-    addText(student.name, coordinates.name, 28, true);
-    addText(student.class, coordinates.class, 20);
-    addText(student.level, coordinates.level, 20);
-    addText(student.gender, coordinates.gender, 18);
-    addText(student.residence, coordinates.residence, 18);
-    addText(student.academic_year, coordinates.academic_year, 18);
+    for (const element of layout.front || []) {
+      await drawLayoutElement(ctx, element, card);
+    }
 
     // Generate front buffer
     const frontBuffer = canvas.toBuffer('image/png');
 
-    // Generate back buffer
-    let backBuffer;
-    try {
-      if (template.backSide && template.backSide.secure_url) {
-        const backTemplate = await loadImage(template.backSide.secure_url);
-        const backCanvas = createCanvas(backTemplate.width, backTemplate.height);
-        const backCtx = backCanvas.getContext('2d');
-        backCtx.drawImage(backTemplate, 0, 0);
-        backBuffer = backCanvas.toBuffer('image/png');
-      } else {
-        const backCanvas = createCanvas(templateWidth, templateHeight);
-        const backCtx = backCanvas.getContext('2d');
-        backCtx.fillStyle = '#FFFFFF';
-        backCtx.fillRect(0, 0, templateWidth, templateHeight);
-        backBuffer = backCanvas.toBuffer('image/png');
+    // Generate back buffer (plain white without a usable back template)
+    let backTemplate = null;
+    if (template.backSide && template.backSide.secure_url) {
+      try {
+        backTemplate = await loadImage(template.backSide.secure_url);
+      } catch (backError) {
+        console.warn(`⚠️ Could not load back template for ${student.name}:`, backError.message);
       }
-    } catch (backError) {
-      const backCanvas = createCanvas(templateWidth, templateHeight);
-      backBuffer = backCanvas.toBuffer('image/png');
     }
 
+    const backCanvas = createCanvas(backTemplate ? backTemplate.width : templateWidth, backTemplate ? backTemplate.height : templateHeight);
+    const backCtx = backCanvas.getContext('2d');
+    if (backTemplate) {
+      backCtx.drawImage(backTemplate, 0, 0);
+    } else {
+      backCtx.fillStyle = '#FFFFFF';
+      backCtx.fillRect(0, 0, templateWidth, templateHeight);
+    }
+
+    // Element errors (e.g. a QR code or barcode that can't be encoded) fail the card
+    for (const element of layout.back || []) {
+      await drawLayoutElement(backCtx, element, card);
+    }
+    const backBuffer = backCanvas.toBuffer('image/png');
+
     console.log(`✅ Card generation completed for ${student.name}`);
-    return { frontBuffer, backBuffer };
+    return { frontBuffer, backBuffer, verificationToken };
 
   } catch (error) {
     console.error(`❌ Card generation failed for ${student.name}:`, error);
@@ -810,6 +1643,131 @@ async function generateCardsWithCloudinary(student, template, coordinates, stude
   }
 }
 
+// ✅ DRAW ONE LAYOUT ELEMENT (position, rotation, font, colour, alignment)
+async function drawLayoutElement(ctx, element, card) {
+  const { student, studentPhoto } = card;
+  const { x, y, rotation = 0 } = element;
+
+  ctx.save();
+
+  // Rotate around the element's origin
+  if (rotation) {
+    ctx.translate(x, y);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.translate(-x, -y);
+  }
+
+  if (element.type === 'photo') {
+    if (studentPhoto) {
+      drawStudentPhoto(ctx, studentPhoto, element);
+    } else {
+      drawPhotoPlaceholder(ctx, element);
+    }
+  } else if (isCodeElement(element)) {
+    await drawCodeElement(ctx, element, card);
+  } else {
+    const value = element.field ? student[element.field] : element.text;
+    drawLayoutText(ctx, value, element);
+  }
+
+  ctx.restore();
+}
+
+function isCodeElement(element) {
+  return element.type === 'qrcode' || element.type === 'barcode';
+}
+
+// ✅ QR CODE / BARCODE ELEMENT (student_id or signed verification URL)
+async function drawCodeElement(ctx, element, card) {
+  const { x, y, width, height, color = '#000000' } = element;
+  const content = element.encode === 'verification_url'
+    ? card.verificationUrl
+    : card.student.student_id;
+
+  if (!content) return;
+
+  let codeBuffer;
+  if (element.type === 'qrcode') {
+    codeBuffer = await QRCode.toBuffer(content, {
+      errorCorrectionLevel: 'M',
+      margin: 1,
+      width: Math.round(Math.min(width, height)),
+      color: { dark: color, light: '#FFFFFF' }
+    });
+  } else {
+    codeBuffer = await bwipjs.toBuffer({
+      bcid: element.symbology || 'code128',
+      text: content,
+      scale: 3,
+      barcolor: color.replace('#', ''),
+      backgroundcolor: 'FFFFFF',
+      paddingwidth: 4,
+      paddingheight: 4
+    });
+  }
+
+  const codeImage = await loadImage(codeBuffer);
+  ctx.drawImage(codeImage, x, y, width, height);
+}
+
+// ✅ ROUNDED STUDENT PHOTO WITH BORDER
+function drawStudentPhoto(ctx, studentPhoto, { x, y, width, height }) {
+  const borderRadius = 8;
+
+  // Draw border
+  ctx.save();
+  ctx.beginPath();
+  ctx.roundRect(x - 2, y - 2, width + 4, height + 4, borderRadius + 4);
+  ctx.fillStyle = '#005800ff';
+  ctx.fill();
+  ctx.restore();
+
+  // Draw rounded photo
+  ctx.save();
+  ctx.beginPath();
+  ctx.roundRect(x, y, width, height, borderRadius);
+  ctx.clip();
+  ctx.drawImage(studentPhoto, x, y, width, height);
+  ctx.restore();
+}
+
+// ✅ TEXT ELEMENT (truncated to maxWidth/width when set)
+function drawLayoutText(ctx, text, element) {
+  if (text === undefined || text === null || text === '') return;
+
+  const {
+    x, y, width, maxWidth,
+    fontSize = 20,
+    fontWeight = 'normal',
+    fontFamily = 'Roboto',
+    color = '#000000',
+    align = 'left'
+  } = element;
+
+  ctx.font = `${fontWeight} ${fontSize}px "${fontFamily}", Arial, sans-serif`;
+  ctx.fillStyle = color;
+  ctx.textAlign = align;
+  ctx.textBaseline = 'top';
+
+  // Truncate if too long
+  const limit = maxWidth || width;
+  const fullText = text.toString();
+  let displayText = fullText;
+  if (limit) {
+    while (ctx.measureText(displayText).width > limit && displayText.length > 3) {
+      displayText = displayText.slice(0, -1);
+    }
+    if (displayText !== fullText) displayText += '...';
+  }
+
+  // Alignment is relative to the element box when it has a width
+  let anchorX = x;
+  if (width && align === 'center') anchorX = x + width / 2;
+  if (width && align === 'right') anchorX = x + width;
+
+  ctx.fillText(displayText, anchorX, y);
+}
+
 // ✅ PHOTO PLACEHOLDER
 function drawPhotoPlaceholder(ctx, photoCoords) {
   ctx.save();
@@ -830,6 +1788,18 @@ function drawPhotoPlaceholder(ctx, photoCoords) {
   ctx.restore();
 }
 
+// ✅ BUILD PDF OUTPUT (print options come from the request body)
+async function buildPdfOutput(cards, outputFormat, body = {}) {
+  const options = {};
+  if (body.bleed !== undefined) options.bleed = parseFloat(body.bleed) || 0;
+  if (body.cropMarks !== undefined) options.cropMarks = body.cropMarks === true || body.cropMarks === 'true';
+  if (['long-edge', 'short-edge', 'none'].includes(body.duplex)) options.duplex = body.duplex;
+
+  return outputFormat === 'pdf-card'
+    ? pdfSheetService.buildCardPerPagePdf(cards, options)
+    : pdfSheetService.buildSheetPdf(cards, options);
+}
+
 // Make sure to include createZipInMemory:
 async function createZipInMemory(files) {
   return new Promise((resolve, reject) => {
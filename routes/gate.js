@@ -0,0 +1,114 @@
+// routes/gate.js - Gate check-out / check-in log
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const GateEvent = require('../models/GateEvent');
+const gateService = require('../services/gateService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
+
+// Shared by check-out and check-in: body { student_id } or { scan }, optional note
+const logMovement = (type) => async (req, res) => {
+  try {
+    const { student_id, scan, note } = req.body || {};
+    const { event, student, permission, warnings } = await gateService[type === 'check-out' ? 'checkOut' : 'checkIn'](
+      { student_id, scan },
+      req.user,
+      { capabilities: await capabilityMiddleware.loadCapabilities(req), note: note || '' }
+    );
+
+    console.log(`🚪 ${type} ${student.student_id} by ${req.user.username}${warnings.length ? ` ⚠️ ${warnings.join('; ')}` : ''}`);
+
+    if (permission) {
+      await auditService.record(req, {
+        action: type === 'check-out' ? 'permission.depart' : 'permission.return',
+        entityType: 'permission',
+        entityId: permission._id,
+        entityLabel: permission.permissionNumber,
+        metadata: { gateEvent: String(event._id), method: event.method }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      // false tells the guard to stop the student (left without an approved permission)
+      allowed: type === 'check-in' || !!permission,
+      warnings,
+      event,
+      student: {
+        _id: student._id,
+        student_id: student.student_id,
+        name: student.name,
+        class: student.class,
+        photo_url: student.photo_url
+      },
+      permission
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error(`❌ Gate ${type} error:`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message, missing: error.missing });
+  }
+};
+
+// ✅ CHECK-OUT (student leaving campus)
+router.post('/check-out', authMiddleware, capabilityMiddleware('permissions:mark-returned'), logMovement('check-out'));
+
+// ✅ CHECK-IN (student back on campus; marks the permission returned)
+router.post('/check-in', authMiddleware, capabilityMiddleware('permissions:mark-returned'), logMovement('check-in'));
+
+// ✅ GET gate events
+// Filters: student, permission, type, withoutPermission=true, from, to, page, limit
+router.get('/events', authMiddleware, capabilityMiddleware('permissions:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    for (const field of ['student', 'permission']) {
+      if (req.query[field]) {
+        if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+          return res.status(400).json({ success: false, error: `${field} must be an ID` });
+        }
+        filter[field] = req.query[field];
+      }
+    }
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.withoutPermission === 'true') filter.withoutPermission = true;
+    if (req.query.from || req.query.to) {
+      filter.at = {};
+      if (req.query.from) filter.at.$gte = new Date(req.query.from);
+      if (req.query.to) filter.at.$lte = new Date(req.query.to);
+      if (Object.values(filter.at).some(date => isNaN(date))) {
+        return res.status(400).json({ success: false, error: 'from/to must be valid dates' });
+      }
+    }
+
+    const [events, total] = await Promise.all([
+      GateEvent.find(filter)
+        .populate('student', 'name student_id class')
+        .populate('permission', 'permissionNumber status departure returnDate')
+        .populate('recordedBy', 'firstName lastName')
+        .sort({ at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GateEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching gate events:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,190 @@
+// routes/importProfiles.js - Saved column mappings for student CSV/XLSX imports
+const express = require('express');
+const router = express.Router();
+const ImportProfile = require('../models/ImportProfile');
+const studentImportService = require('../services/studentImportService');
+const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
+const auditService = require('../services/auditService');
+
+// Only these fields can be set from a request body
+const pickProfileFields = (body) => {
+  const data = {};
+  ['name', 'description', 'sheetName', 'headerRow'].forEach(key => {
+    if (body[key] !== undefined) data[key] = body[key];
+  });
+  if (body.columns && typeof body.columns === 'object') {
+    data.columns = Object.fromEntries(
+      studentImportService.IMPORT_COLUMNS
+        .filter(field => body.columns[field])
+        .map(field => [field, body.columns[field]])
+    );
+  }
+  return data;
+};
+
+const handleSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'An import profile with this name already exists'
+    });
+  }
+
+  res.status(500).json({ success: false, error: error.message });
+};
+
+// ✅ GET all import profiles (plus the fields a profile can map)
+router.get('/', authMiddleware, capabilityMiddleware('students:import'), async (req, res) => {
+  try {
+    const profiles = await ImportProfile.find()
+      .populate('createdBy', 'firstName lastName')
+      .sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      profiles,
+      fields: studentImportService.IMPORT_COLUMNS
+    });
+  } catch (error) {
+    console.error('❌ Error fetching import profiles:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ GET single import profile
+router.get('/:id', authMiddleware, capabilityMiddleware('students:import'), async (req, res) => {
+  try {
+    const profile = await ImportProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Import profile not found' });
+    }
+
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ CREATE import profile
+router.post('/', authMiddleware, capabilityMiddleware('students:import'), async (req, res) => {
+  try {
+    const data = pickProfileFields(req.body);
+
+    if (!data.name || !data.columns || Object.keys(data.columns).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Profile name and at least one column mapping are required'
+      });
+    }
+
+    const profile = new ImportProfile({
+      ...data,
+      isDefault: req.body.isDefault === true || req.body.isDefault === 'true',
+      createdBy: req.user?._id
+    });
+
+    // Only one default profile
+    if (profile.isDefault) {
+      await ImportProfile.updateMany({}, { $set: { isDefault: false } });
+    }
+
+    await profile.save();
+    console.log(`✅ Import profile created: ${profile.name}`);
+    await auditService.record(req, {
+      action: 'import-profile.create',
+      entityType: 'import-profile',
+      entityId: profile._id,
+      entityLabel: profile.name,
+      after: profile
+    });
+
+    res.status(201).json({ success: true, message: 'Import profile created', profile });
+  } catch (error) {
+    console.error('❌ Error creating import profile:', error);
+    handleSaveError(res, error);
+  }
+});
+
+// ✅ UPDATE import profile
+router.put('/:id', authMiddleware, capabilityMiddleware('students:import'), async (req, res) => {
+  try {
+    const profile = await ImportProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Import profile not found' });
+    }
+
+    const before = profile.toObject();
+    Object.assign(profile, pickProfileFields(req.body));
+    await profile.save();
+    await auditService.record(req, {
+      action: 'import-profile.update',
+      entityType: 'import-profile',
+      entityId: profile._id,
+      entityLabel: profile.name,
+      before,
+      after: profile
+    });
+
+    res.json({ success: true, message: 'Import profile updated', profile });
+  } catch (error) {
+    console.error('❌ Error updating import profile:', error);
+    handleSaveError(res, error);
+  }
+});
+
+// ✅ SET default import profile (used when an import doesn't name one)
+router.patch('/:id/set-default', authMiddleware, capabilityMiddleware('students:import'), async (req, res) => {
+  try {
+    const profile = await ImportProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Import profile not found' });
+    }
+
+    await ImportProfile.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+    profile.isDefault = true;
+    await profile.save();
+    await auditService.record(req, {
+      action: 'import-profile.set-default',
+      entityType: 'import-profile',
+      entityId: profile._id,
+      entityLabel: profile.name
+    });
+
+    res.json({ success: true, message: 'Default import profile updated', profile });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ DELETE import profile
+router.delete('/:id', authMiddleware, capabilityMiddleware('students:import'), async (req, res) => {
+  try {
+    const profile = await ImportProfile.findByIdAndDelete(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Import profile not found' });
+    }
+
+    await auditService.record(req, {
+      action: 'import-profile.delete',
+      entityType: 'import-profile',
+      entityId: profile._id,
+      entityLabel: profile.name,
+      before: profile
+    });
+
+    res.json({ success: true, message: `Import profile "${profile.name}" deleted` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
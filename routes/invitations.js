@@ -0,0 +1,111 @@
+// routes/invitations.js - Admin-issued staff invitations
+const express = require('express');
+const router = express.Router();
+const Invitation = require('../models/Invitation');
+const accountService = require('../services/accountService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
+
+// ✅ GET invitations (?status=pending|accepted|revoked|expired)
+router.get('/', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .populate('invitedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    const filtered = req.query.status
+      ? invitations.filter(invitation => invitation.getStatus() === req.query.status)
+      : invitations;
+
+    res.json({ success: true, invitations: filtered, total: filtered.length });
+  } catch (error) {
+    console.error('❌ Error fetching invitations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ CREATE invitation and send it by email or SMS
+router.post('/', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const inviterCapabilities = await capabilityMiddleware.loadCapabilities(req);
+    const invitation = await accountService.createInvitation(req.body, req.user, inviterCapabilities);
+    console.log(`✉️ Invitation created for ${invitation.email} (${invitation.role})`);
+    await auditService.record(req, {
+      action: 'invitation.create',
+      entityType: 'invitation',
+      entityId: invitation._id,
+      entityLabel: invitation.email,
+      metadata: { role: invitation.role, delivered: !invitation.delivery.error }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: invitation.delivery.error
+        ? 'Invitation created but could not be delivered. Resend it or check the mail settings.'
+        : 'Invitation sent',
+      invitation
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('❌ Error creating invitation:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ CHECK an invitation token (public - used by the sign-up page)
+router.get('/token/:token', async (req, res) => {
+  try {
+    const invitation = await accountService.findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation is invalid, expired or already used'
+      });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        email: invitation.email,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ REVOKE a pending invitation
+router.delete('/:id', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: 'Invitation not found' });
+    }
+
+    if (invitation.getStatus() !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Invitation is already ${invitation.getStatus()}`
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    await auditService.record(req, {
+      action: 'invitation.revoke',
+      entityType: 'invitation',
+      entityId: invitation._id,
+      entityLabel: invitation.email
+    });
+
+    res.json({ success: true, message: 'Invitation revoked', invitation });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
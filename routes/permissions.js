@@ -1,16 +1,47 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Permission = require('../models/Permission');
-const Student = require('../models/Student');
+const PermissionPolicy = require('../models/PermissionPolicy');
+const GateEvent = require('../models/GateEvent');
 const authMiddleware = require('../middleware/authMiddleware');
-const textbeeService = require('../services/textbeeService');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
+const auditService = require('../services/auditService');
+const trashService = require('../services/trashService');
+const permissionWorkflowService = require('../services/permissionWorkflowService');
+const overdueService = require('../services/overdueService');
+const permissionRuleService = require('../services/permissionRuleService');
+
+// Only these fields can be set through PUT /rules
+const pickPolicyFields = (body = {}) => {
+  const data = {};
+  ['blockOpenPermission', 'requireReturnAfterDeparture', 'maxPerTerm', 'fallbackTermDays', 'blockExamPeriods', 'terms', 'examPeriods']
+    .forEach(key => {
+      if (body[key] !== undefined) data[key] = body[key];
+    });
+  return data;
+};
 
-// Get all permissions with student data
-router.get('/', authMiddleware, async (req, res) => {
+// Get all permissions with student data (?status=pending,approved to filter)
+router.get('/', authMiddleware, capabilityMiddleware('permissions:read'), async (req, res) => {
   try {
-    const permissions = await Permission.find()
+    const filter = {};
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',').map(status => status.trim());
+      const invalid = statuses.filter(status => !Permission.STATUSES.includes(status));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status. Allowed: ${Permission.STATUSES.join(', ')}`
+        });
+      }
+      filter.status = { $in: statuses };
+    }
+
+    const permissions = await Permission.find(filter)
       .populate('student', 'name student_id class level')
-      .populate('approvedBy', 'firstName lastName')
+      .populate('requestedBy', 'firstName lastName profileThumbnail')
+      .populate('approvedBy', 'firstName lastName profileThumbnail')
       .sort({ createdAt: -1 });
 
     res.json({ success: true, permissions });
@@ -20,7 +51,7 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // Create multiple permissions
-router.post('/create', authMiddleware, async (req, res) => {
+router.post('/create', authMiddleware, capabilityMiddleware('permissions:create'), async (req, res) => {
   try {
 
     console.log('📝 =========== /permissions/create CALLED ===========');
@@ -64,6 +95,8 @@ router.post('/create', authMiddleware, async (req, res) => {
     permissionsData.forEach((perm, index) => {
       if (!perm.student) {
         validationErrors.push(`Item ${index + 1}: Student is required`);
+      } else if (!mongoose.isValidObjectId(perm.student)) {
+        validationErrors.push(`Item ${index + 1}: Student is invalid`);
       }
       if (!perm.reason || !perm.reason.trim()) {
         validationErrors.push(`Item ${index + 1}: Reason is required`);
@@ -76,19 +109,39 @@ router.post('/create', authMiddleware, async (req, res) => {
       }
       if (!perm.returnDate) {
         validationErrors.push(`Item ${index + 1}: Return date is required`);
+      } else if (isNaN(new Date(perm.returnDate))) {
+        validationErrors.push(`Item ${index + 1}: Return date is invalid`);
+      }
+      if (perm.departure && isNaN(new Date(perm.departure))) {
+        validationErrors.push(`Item ${index + 1}: Departure is invalid`);
       }
     });
 
-    if (validationErrors.length > 0) {
+    // Conflict and abuse rules (open permissions, exam periods, per-term limit)
+    const { violations: ruleViolations, flags } = await permissionRuleService.check(permissionsData, {
+      canOverride: await capabilityMiddleware.hasCapability(req, 'permissions:rules'),
+      userId: req.user._id
+    });
+
+    if (validationErrors.length > 0 || ruleViolations.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Validation failed',
-        details: validationErrors
+        error: validationErrors.length > 0 ? 'Validation failed' : 'Permission rules violated',
+        details: validationErrors,
+        ruleViolations
       });
     }
 
+    // Requests from staff who can approve are approved on the spot; the rest wait for approval
+    const canApprove = await capabilityMiddleware.hasCapability(req, 'permissions:approve');
+    const now = new Date();
+    const initialHistory = [{ status: 'pending', at: now, by: req.user._id, note: 'Requested' }];
+    if (canApprove) {
+      initialHistory.push({ status: 'approved', from: 'pending', at: now, by: req.user._id });
+    }
+
     // Prepare data for database
-    const permissionsToInsert = permissionsData.map(perm => {
+    const permissionsToInsert = permissionsData.map((perm, index) => {
       // Add default values and ensure proper structure
       return {
         student: perm.student,
@@ -101,8 +154,12 @@ router.post('/create', authMiddleware, async (req, res) => {
         },
         departure: perm.departure || new Date(),
         returnDate: perm.returnDate,
-        status: 'approved', // Default status
-        createdBy: perm.createdBy || req.user?._id,
+        status: canApprove ? 'approved' : 'pending',
+        requestedBy: req.user._id,
+        approvedBy: canApprove ? req.user._id : undefined,
+        approvedAt: canApprove ? now : undefined,
+        statusHistory: initialHistory,
+        flags: flags[index],
         // Initialize empty SMS tracking
         smsNotifications: {
           permissionCreated: {
@@ -121,58 +178,24 @@ router.post('/create', authMiddleware, async (req, res) => {
 
     console.log(`✅ Successfully created ${createdPermissions.length} permission(s)`);
 
-    // Send SMS notifications for each permission
-    const smsResults = [];
+    for (const permission of createdPermissions) {
+      await auditService.record(req, {
+        action: 'permission.create',
+        entityType: 'permission',
+        entityId: permission._id,
+        entityLabel: permission.permissionNumber,
+        after: permission,
+        metadata: isBulk ? { bulk: createdPermissions.length } : undefined
+      });
+    }
 
+    // Guardians are told once a permission is approved; pending requests wait for the DOD
+    const smsResults = [];
     for (const permission of createdPermissions) {
+      if (permission.status !== 'approved') continue;
       try {
-        // Fetch student data for SMS
-        // You need to implement getStudentData based on your Student model
-        const studentData = await getStudentData(permission.student);
-
-        if (studentData && studentData.parent_phone) {
-          try {
-            const smsResult = await textbeeService.sendPermissionCreated(
-              studentData,
-              permission,
-              studentData.parent_phone
-            );
-
-            // Store detailed SMS status
-            permission.smsNotifications = {
-              permissionCreated: {
-                sent: smsResult.success,
-                sentAt: new Date(),
-                messageId: smsResult.batchId || smsResult.messageId,
-                provider: 'textbee',
-                phone: studentData.parent_phone,
-                attempts: smsResult.attempts || 1,
-                status: smsResult.success ? 'queued' : 'failed',
-                error: smsResult.error
-              }
-            };
-
-            await permission.save();
-
-            console.log(`📱 SMS ${smsResult.success ? 'queued' : 'failed'} for ${studentData.name}`);
-            console.log(`   Batch ID: ${smsResult.batchId}`);
-
-          } catch (error) {
-            console.error(`❌ SMS error for ${studentData.name}:`, error.message);
-
-            permission.smsNotifications = {
-              permissionCreated: {
-                sent: false,
-                sentAt: new Date(),
-                error: error.message,
-                status: 'failed'
-              }
-            };
-
-            await permission.save();
-
-          }
-        }
+        const smsResult = await permissionWorkflowService.notifyApproved(permission);
+        if (smsResult) smsResults.push(smsResult);
       } catch (smsError) {
         console.error(`❌ SMS error for permission ${permission._id}:`, smsError);
         // Continue with other permissions
@@ -184,17 +207,19 @@ router.post('/create', authMiddleware, async (req, res) => {
       _id: { $in: createdPermissions.map(p => p._id) }
     })
       .populate('student', 'name student_id class parent_phone')
-      .populate('approvedBy', 'firstName lastName');
+      .populate('approvedBy', 'firstName lastName profileThumbnail');
 
     // Prepare response based on single/bulk
     const response = {
       success: true,
-      message: isBulk
+      message: (isBulk
         ? `Created ${createdPermissions.length} permissions successfully`
-        : 'Permission created successfully',
+        : 'Permission created successfully') + (canApprove ? '' : ' and sent for approval'),
       count: createdPermissions.length,
       isBulk: isBulk,
       permissions: isBulk ? populatedPermissions : populatedPermissions[0],
+      // Rules that were flagged (e.g. over the per-term limit) or overridden
+      ruleWarnings: flags.flatMap((itemFlags, index) => itemFlags.map(flag => ({ item: index + 1, ...flag }))),
       smsSummary: {
         totalAttempted: smsResults.length,
         successful: smsResults.filter(r => r.success).length,
@@ -232,13 +257,75 @@ router.post('/create', authMiddleware, async (req, res) => {
     });
   }
 });
+// Creation rules in force
+router.get('/rules', authMiddleware, capabilityMiddleware('permissions:read'), async (req, res) => {
+  try {
+    const policy = await PermissionPolicy.getCurrent();
+    res.json({ success: true, policy });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update creation rules (terms, exam periods, limits)
+router.put('/rules', authMiddleware, capabilityMiddleware('permissions:rules'), async (req, res) => {
+  try {
+    const policy = await PermissionPolicy.getCurrent();
+    const before = policy.toObject();
+
+    Object.assign(policy, pickPolicyFields(req.body), { updatedBy: req.user._id });
+    await policy.save();
+    console.log(`📏 ${req.user.username} updated the permission rules`);
+
+    await auditService.record(req, {
+      action: 'permission.rules-update',
+      entityType: 'permission',
+      entityId: policy._id,
+      entityLabel: 'rules',
+      before,
+      after: policy
+    });
+
+    res.json({ success: true, message: 'Permission rules updated', policy });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rules',
+        details: error.errors ? Object.values(error.errors).map(e => e.message) : [error.message]
+      });
+    }
+    console.error('❌ Error updating permission rules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Overdue permissions (still out after the return date) with the alerts sent so far
+router.get('/overdue', authMiddleware, capabilityMiddleware('permissions:read'), async (req, res) => {
+  try {
+    const permissions = await overdueService.findOverdue()
+      .populate('student', 'name student_id class parent_phone')
+      .populate('approvedBy', 'firstName lastName profileThumbnail')
+      .sort({ returnDate: 1 });
+
+    res.json({
+      success: true,
+      permissions,
+      count: permissions.length,
+      escalateAfterHours: overdueService.escalateAfterHours
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get permissions by student
-router.get('/student/:studentId', authMiddleware, async (req, res) => {
+router.get('/student/:studentId', authMiddleware, capabilityMiddleware('permissions:read'), async (req, res) => {
   try {
     const permissions = await Permission.find({
       student: req.params.studentId
     })
-      .populate('approvedBy', 'firstName lastName')
+      .populate('approvedBy', 'firstName lastName profileThumbnail')
       .sort({ departure: -1 });
 
     res.json({ success: true, permissions });
@@ -248,58 +335,102 @@ router.get('/student/:studentId', authMiddleware, async (req, res) => {
 });
 
 // Get single permission
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, capabilityMiddleware('permissions:read'), async (req, res) => {
   try {
     const permission = await Permission.findById(req.params.id)
       .populate('student', 'name student_id class level gender photo')
-      .populate('approvedBy', 'firstName lastName');
+      .populate('requestedBy', 'firstName lastName profileThumbnail')
+      .populate('approvedBy', 'firstName lastName profileThumbnail')
+      .populate('statusHistory.by', 'firstName lastName');
 
     if (!permission) {
       return res.status(404).json({ success: false, error: 'Permission not found' });
     }
 
-    res.json({ success: true, permission });
+    // When the student actually left and came back
+    const gateEvents = await GateEvent.find({ permission: permission._id })
+      .populate('recordedBy', 'firstName lastName')
+      .sort({ at: 1 });
+
+    res.json({ success: true, permission, gateEvents });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Updating Permission Status
-router.patch('/:id/status', async (req, res) => {
+// Audit action name for each status a permission can be moved to
+const STATUS_ACTIONS = {
+  approved: 'approve',
+  rejected: 'reject',
+  departed: 'depart',
+  returned: 'return',
+  cancelled: 'cancel'
+};
+
+// Workflow step handler: moves the permission to `status` (rules in permissionWorkflowService)
+const changeStatus = (action, status) => async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
-    
-    const updateData = { status };
-    
-    // CRITICAL: Set returnedAt when status is 'returned'
-    if (status === 'returned') {
-      updateData.returnedAt = new Date();
-    }
-    
-    const permission = await Permission.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true }
-    ).populate('student');
-    
+    const permission = await Permission.findById(req.params.id);
     if (!permission) {
-      return res.status(404).json({ error: 'Permission not found' });
+      return res.status(404).json({ success: false, error: 'Permission not found' });
     }
-    
-    res.json({ 
-      success: true, 
-      permission,
-      message: `Permission status updated to ${status}` 
+
+    // Approve, depart and return are usually sent without a body
+    const { reason, note } = req.body || {};
+    const previousStatus = permission.status;
+    await permissionWorkflowService.transition(permission, status, req.user, {
+      capabilities: await capabilityMiddleware.loadCapabilities(req),
+      note: reason || note
     });
-    
+    console.log(`🔁 ${req.user.username} changed permission ${permission.permissionNumber}: ${previousStatus} → ${status}`);
+
+    await auditService.record(req, {
+      action: `permission.${action}`,
+      entityType: 'permission',
+      entityId: permission._id,
+      entityLabel: permission.permissionNumber,
+      before: { status: previousStatus },
+      after: { status },
+      metadata: { note: permission.statusHistory[permission.statusHistory.length - 1].note }
+    });
+
+    await permission.populate([
+      { path: 'student', select: 'name student_id class parent_phone' },
+      { path: 'requestedBy', select: 'firstName lastName profileThumbnail' },
+      { path: 'approvedBy', select: 'firstName lastName profileThumbnail' }
+    ]);
+
+    res.json({ success: true, message: `Permission ${status}`, permission });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (!error.statusCode) console.error(`❌ Error changing permission to ${status}:`, error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message, missing: error.missing });
   }
+};
+
+// Approve or reject a pending request (permissions:approve)
+router.post('/:id/approve', authMiddleware, changeStatus('approve', 'approved'));
+router.post('/:id/reject', authMiddleware, changeStatus('reject', 'rejected'));
+// Withdraw a pending or approved permission (approvers, or whoever requested it)
+router.post('/:id/cancel', authMiddleware, changeStatus('cancel', 'cancelled'));
+// Student has left / come back to campus (permissions:mark-returned; return texts the guardian)
+router.post('/:id/depart', authMiddleware, changeStatus('depart', 'departed'));
+router.post('/:id/return', authMiddleware, changeStatus('return', 'returned'));
+
+// Updating Permission Status ({ status, reason }); same rules as the workflow endpoints above
+router.patch('/:id/status', authMiddleware, (req, res) => {
+  const { status } = req.body || {};
+  if (!Permission.STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status. Allowed: ${Permission.STATUSES.join(', ')}`
+    });
+  }
+
+  return changeStatus(STATUS_ACTIONS[status] || 'status-change', status)(req, res);
 });
 
-// Delete all permissions (DANGEROUS - Admin only)
-router.delete('/delete-all', authMiddleware, async (req, res) => {
+// Delete all permissions (DANGEROUS - Admin only; restorable as one batch from the trash)
+router.delete('/delete-all', authMiddleware, capabilityMiddleware('permissions:delete'), async (req, res) => {
   try {
     console.log('⚠️ WARNING: Attempting to delete ALL permissions');
     
@@ -313,16 +444,26 @@ router.delete('/delete-all', authMiddleware, async (req, res) => {
       });
     }
     
-    // Delete all permissions
-    const result = await Permission.deleteMany({});
+    // Move all permissions to the trash under one batch
+    const batchId = trashService.newBatchId();
+    const result = await Permission.softDeleteMany({}, req.user._id, batchId);
     
-    console.log(`🗑️ Deleted ALL permissions: ${result.deletedCount} records`);
+    console.log(`🗑️ Moved ALL permissions to trash: ${result.modifiedCount} records (batch ${batchId})`);
+    await auditService.record(req, {
+      action: 'permission.delete-all',
+      entityType: 'permission',
+      entityId: batchId,
+      // The records themselves stay listed in the trash under the batch
+      metadata: { deletedCount: result.modifiedCount, totalBefore: totalPermissions, batchId }
+    });
     
     res.json({
       success: true,
-      message: `Deleted all ${result.deletedCount} permission records`,
-      deletedCount: result.deletedCount,
-      totalBefore: totalPermissions
+      message: `Moved all ${result.modifiedCount} permission records to trash`,
+      deletedCount: result.modifiedCount,
+      totalBefore: totalPermissions,
+      batchId,
+      retentionDays: trashService.retentionDays
     });
     
   } catch (error) {
@@ -336,7 +477,7 @@ router.delete('/delete-all', authMiddleware, async (req, res) => {
 });
 
 // Get permission statistics
-router.get('/stats', authMiddleware, async (req, res) => {
+router.get('/stats', authMiddleware, capabilityMiddleware('permissions:read'), async (req, res) => {
   try {
     const totalPermissions = await Permission.countDocuments();
     
@@ -353,15 +494,4 @@ router.get('/stats', authMiddleware, async (req, res) => {
 
 
 
-//Helper function
-async function getStudentData(studentId) {
-  try {
-    const student = await Student.findById(studentId).select('name student_id class parent_phone');
-    return student;
-  } catch (error) {
-    console.error('Error fetching student data:', error);
-    return null;
-  }
-}
-
 module.exports = router;
\ No newline at end of file
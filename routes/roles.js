@@ -0,0 +1,161 @@
+// routes/roles.js - Configurable roles and the capabilities they grant
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
+const auditService = require('../services/auditService');
+
+// Only these fields can be set from a request body
+const pickRoleFields = (body) => {
+  const data = {};
+  ['label', 'description'].forEach(key => {
+    if (body[key] !== undefined) data[key] = body[key];
+  });
+  if (Array.isArray(body.capabilities)) {
+    data.capabilities = [...new Set(body.capabilities)];
+  }
+  return data;
+};
+
+const handleSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'A role with this name already exists'
+    });
+  }
+
+  res.status(500).json({ success: false, error: error.message });
+};
+
+// ✅ GET all roles (plus every capability a role can grant)
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+    res.json({
+      success: true,
+      roles,
+      capabilities: Role.CAPABILITIES
+    });
+  } catch (error) {
+    console.error('❌ Error fetching roles:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ GET the logged-in user's capabilities
+router.get('/me', authMiddleware, async (req, res) => {
+  try {
+    const capabilities = await capabilityMiddleware.loadCapabilities(req);
+    res.json({ success: true, role: req.user.role, capabilities });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ CREATE role
+router.post('/', authMiddleware, capabilityMiddleware('roles:manage'), async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ success: false, error: 'Role name is required' });
+    }
+
+    const role = new Role({ name: req.body.name, ...pickRoleFields(req.body) });
+    await role.save();
+    console.log(`✅ Role created: ${role.name}`);
+    await auditService.record(req, {
+      action: 'role.create',
+      entityType: 'role',
+      entityId: role._id,
+      entityLabel: role.name,
+      after: role
+    });
+
+    res.status(201).json({ success: true, message: 'Role created', role });
+  } catch (error) {
+    console.error('❌ Error creating role:', error);
+    handleSaveError(res, error);
+  }
+});
+
+// ✅ UPDATE role (name is fixed because users reference it)
+router.put('/:name', authMiddleware, capabilityMiddleware('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+
+    const data = pickRoleFields(req.body);
+    if (role.name === 'admin' && data.capabilities && !data.capabilities.includes('*')) {
+      return res.status(400).json({
+        success: false,
+        error: 'The admin role must keep full access'
+      });
+    }
+
+    const before = role.toObject();
+    Object.assign(role, data);
+    await role.save();
+    await auditService.record(req, {
+      action: 'role.update',
+      entityType: 'role',
+      entityId: role._id,
+      entityLabel: role.name,
+      before,
+      after: role
+    });
+
+    res.json({ success: true, message: 'Role updated', role });
+  } catch (error) {
+    console.error('❌ Error updating role:', error);
+    handleSaveError(res, error);
+  }
+});
+
+// ✅ DELETE role (custom roles with no users only)
+router.delete('/:name', authMiddleware, capabilityMiddleware('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ success: false, error: 'Built-in roles cannot be deleted' });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Role is assigned to ${userCount} user(s). Reassign them first.`
+      });
+    }
+
+    await role.deleteOne();
+    await auditService.record(req, {
+      action: 'role.delete',
+      entityType: 'role',
+      entityId: role._id,
+      entityLabel: role.name,
+      before: role
+    });
+    res.json({ success: true, message: `Role "${role.name}" deleted` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
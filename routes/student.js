@@ -6,6 +6,11 @@ const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const path = require('path');
 const Student = require('../models/Student');
+const studentExportService = require('../services/studentExportService');
+const auditService = require('../services/auditService');
+const trashService = require('../services/trashService');
+const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
 
 // Configure Cloudinary (should be configured already from templates.js)
 // Make sure CLOUDINARY env variables are set
@@ -51,15 +56,19 @@ const upload = multer({
   }
 });
 
+// Paging parameters; without any of them GET / keeps returning a bare array
+const PAGING_PARAMS = ['page', 'limit', 'cursor'];
+
 // --------------------------------------------------
-// 1. GET all students (with Cloudinary URLs)
+// 1. GET students (search, filters, sort, page/limit or cursor; with Cloudinary URLs)
 // --------------------------------------------------
-router.get('/', async (req, res) => {
+router.get('/', authMiddleware, capabilityMiddleware('students:read'), async (req, res) => {
   try {
-    const students = await Student.find().sort({ student_id: 1 });
+    const isPaged = PAGING_PARAMS.some(param => req.query[param] !== undefined);
+    const result = await Student.paginate(req.query, { defaultSort: 'student_id', unpaged: !isPaged });
     
     // Add Cloudinary URLs to each student
-    const studentsWithUrls = students.map(student => ({
+    const studentsWithUrls = result.students.map(student => ({
       ...student.toObject(),
       photo_url: student.photo_public_id ? 
         cloudinary.url(student.photo_public_id, {
@@ -72,17 +81,34 @@ router.get('/', async (req, res) => {
         }) : null
     }));
     
-    res.json(studentsWithUrls);
+    res.set('X-Total-Count', String(result.total));
+
+    if (!isPaged) {
+      return res.json(studentsWithUrls);
+    }
+
+    res.json({
+      success: true,
+      students: studentsWithUrls,
+      pagination: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+        hasMore: result.hasMore,
+        nextCursor: result.nextCursor
+      }
+    });
   } catch (e) { 
     console.error('❌ Error fetching students:', e);
-    res.status(500).json({ error: e.message }); 
+    res.status(e.statusCode || 500).json({ error: e.message }); 
   }
 });
 
 // --------------------------------------------------
 // 2. CREATE a new student (with Cloudinary photo)
 // --------------------------------------------------
-router.post('/', upload.single('photo'), async (req, res) => {
+router.post('/', authMiddleware, capabilityMiddleware('students:write'), upload.single('photo'), async (req, res) => {
   try {
     const data = req.body;
     
@@ -123,17 +149,160 @@ router.post('/', upload.single('photo'), async (req, res) => {
     });
 
     await student.save();
+    await auditService.record(req, {
+      action: 'student.create',
+      entityType: 'student',
+      entityId: student._id,
+      entityLabel: student.student_id,
+      after: student
+    });
     res.status(201).json(student);
   } catch (e) { 
     console.error('❌ Error creating student:', e);
+
+    // The unique student_id also covers students in the trash
+    if (e.code === 11000) {
+      const trashed = await Student.findOne({ student_id: req.body.student_id, deletedAt: { $ne: null } });
+      if (trashed) {
+        return res.status(409).json({
+          error: `Student ${trashed.student_id} is in the trash. Restore it instead of creating it again.`,
+          trashedId: trashed._id
+        });
+      }
+    }
+
     res.status(400).json({ error: e.message }); 
   }
 });
 
+// Fixed paths (delete-all, export, stats) must stay above the /:id routes, which would match them
+// --------------------------------------------------
+// 3. DELETE ALL STUDENTS (DANGEROUS - Admin only; restorable as one batch from the trash)
+// --------------------------------------------------
+router.delete('/delete-all', authMiddleware, capabilityMiddleware('students:delete'), async (req, res) => {
+  try {
+    console.log('⚠️ WARNING: Attempting to delete ALL students');
+    
+    // Get total count before deletion
+    const totalStudents = await Student.countDocuments();
+    
+    if (totalStudents === 0) {
+      return res.json({
+        success: true,
+        message: 'No students to delete',
+        deletedCount: 0
+      });
+    }
+    
+    // Move every student to the trash under one batch; photos stay until the purge
+    const batchId = trashService.newBatchId();
+    const result = await Student.softDeleteMany({}, req.user._id, batchId);
+    
+    console.log(`🗑️ Moved ALL students to trash: ${result.modifiedCount} records (batch ${batchId})`);
+
+    await auditService.record(req, {
+      action: 'student.delete-all',
+      entityType: 'student',
+      entityId: batchId,
+      // The records themselves stay listed in the trash under the batch
+      metadata: { deletedCount: result.modifiedCount, totalBefore: totalStudents, batchId }
+    });
+    
+    res.json({
+      success: true,
+      message: `Moved all ${result.modifiedCount} students to trash`,
+      deletedCount: result.modifiedCount,
+      totalBefore: totalStudents,
+      batchId,
+      retentionDays: trashService.retentionDays
+    });
+    
+  } catch (error) {
+    console.error('❌ Error deleting all students:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to delete all students'
+    });
+  }
+});
+
+// --------------------------------------------------
+// 4. EXPORT students as CSV, XLSX or JSON (re-importable)
+// --------------------------------------------------
+router.get('/export', authMiddleware, capabilityMiddleware('students:read'), async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format. Allowed: csv, xlsx, json'
+      });
+    }
+
+    const filter = Student.buildFilter(req.query);
+    const students = await Student.find(filter).sort({ class: 1, name: 1 });
+
+    console.log(`📤 Exporting ${students.length} students as ${format.toUpperCase()}`);
+
+    const filename = `students-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    if (format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.json({
+        success: true,
+        exportedAt: new Date(),
+        // The query as sent (the built filter holds RegExps, which don't serialize)
+        filters: Object.fromEntries(Student.FILTER_PARAMS.filter(param => req.query[param] !== undefined).map(param => [param, req.query[param]])),
+        total: students.length,
+        students: studentExportService.toRows(students)
+      });
+    }
+
+    const buffer = format === 'xlsx'
+      ? await studentExportService.toXLSX(students)
+      : studentExportService.toCSV(students);
+
+    res.set({
+      'Content-Type': format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+
+  } catch (error) {
+    console.error('❌ Student export error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --------------------------------------------------
+// 5. GET STUDENT STATISTICS
+// --------------------------------------------------
+router.get('/stats', authMiddleware, capabilityMiddleware('students:read'), async (req, res) => {
+  try {
+    const totalStudents = await Student.countDocuments();
+    const studentsWithPhotos = await Student.countDocuments({ has_photo: true });
+    
+    res.json({
+      success: true,
+      stats: {
+        totalStudents,
+        studentsWithPhotos,
+        studentsWithoutPhotos: totalStudents - studentsWithPhotos
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // --------------------------------------------------
-// 3. UPDATE a student (Cloudinary photo replace)
+// 6. UPDATE a student (Cloudinary photo replace)
 // --------------------------------------------------
-router.put('/:id', upload.single('photo'), async (req, res) => {
+router.put('/:id', authMiddleware, capabilityMiddleware('students:write'), upload.single('photo'), async (req, res) => {
   try {
     const id = req.params.id;
     const data = req.body;
@@ -179,6 +348,14 @@ router.put('/:id', upload.single('photo'), async (req, res) => {
     }
 
     const updatedStudent = await Student.findByIdAndUpdate(id, update, { new: true });
+    await auditService.record(req, {
+      action: 'student.update',
+      entityType: 'student',
+      entityId: student._id,
+      entityLabel: student.student_id,
+      before: student,
+      after: updatedStudent
+    });
     res.json(updatedStudent);
   } catch (e) { 
     console.error('❌ Error updating student:', e);
@@ -187,37 +364,31 @@ router.put('/:id', upload.single('photo'), async (req, res) => {
 });
 
 // --------------------------------------------------
-// 4. DELETE a student (with Cloudinary cleanup)
+// 7. DELETE a student (moved to the trash; photo kept until purge)
 // --------------------------------------------------
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authMiddleware, capabilityMiddleware('students:delete'), async (req, res) => {
   try {
     const student = await Student.findById(req.params.id);
     if (!student) {
       return res.status(404).json({ success: false, error: 'Student not found' });
     }
 
-    console.log('🗑️ Deleting student:', student.name);
-
-    // Delete photo from Cloudinary if exists
-    let deletedPhoto = false;
-    if (student.photo_public_id) {
-      try {
-        await cloudinary.uploader.destroy(student.photo_public_id);
-        deletedPhoto = true;
-        console.log('✅ Deleted student photo from Cloudinary:', student.photo_public_id);
-      } catch (photoError) {
-        console.warn('⚠️ Could not delete student photo from Cloudinary:', photoError.message);
-      }
-    }
+    console.log('🗑️ Moving student to trash:', student.name);
 
-    // Delete from database
-    await Student.findByIdAndDelete(req.params.id);
+    await student.softDelete(req.user._id);
+    await auditService.record(req, {
+      action: 'student.delete',
+      entityType: 'student',
+      entityId: student._id,
+      entityLabel: student.student_id,
+      metadata: { purgeAt: trashService.purgeDateFor(student) }
+    });
 
     res.json({ 
       success: true, 
-      message: `Student deleted successfully`,
-      deletedPhoto: deletedPhoto,
-      studentName: student.name
+      message: `Student moved to trash`,
+      studentName: student.name,
+      purgeAt: trashService.purgeDateFor(student)
     });
 
   } catch (error) {
@@ -227,9 +398,9 @@ router.delete('/:id', async (req, res) => {
 });
 
 // --------------------------------------------------
-// 5. GET student photo URL (optimized)
+// 8. GET student photo URL (optimized)
 // --------------------------------------------------
-router.get('/photo/:studentId', async (req, res) => {
+router.get('/photo/:studentId', authMiddleware, capabilityMiddleware('students:read'), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { size = 'medium' } = req.query;
@@ -269,14 +440,15 @@ router.get('/photo/:studentId', async (req, res) => {
 });
 
 // --------------------------------------------------
-// 6. BULK DELETE student photos (admin cleanup)
+// 9. BULK DELETE student photos (admin cleanup)
 // --------------------------------------------------
-router.post('/cleanup-photos', async (req, res) => {
+router.post('/cleanup-photos', authMiddleware, capabilityMiddleware('students:delete'), async (req, res) => {
   try {
     console.log('🧹 Cleaning up unused student photos...');
     
-    // Get all students with photos
-    const students = await Student.find({ photo_public_id: { $exists: true, $ne: null } });
+    // Get all students with photos (trashed ones keep theirs until purged)
+    const students = await Student.find({ photo_public_id: { $exists: true, $ne: null } })
+      .setOptions({ withDeleted: true });
     const activePublicIds = students.map(s => s.photo_public_id);
     
     // List all resources in the student-cards/photos folder
@@ -302,6 +474,12 @@ router.post('/cleanup-photos', async (req, res) => {
       }
     }
     
+    await auditService.record(req, {
+      action: 'student.cleanup-photos',
+      entityType: 'student',
+      metadata: { deletedCount, totalResources: cloudinaryResources.length }
+    });
+
     res.json({
       success: true,
       message: `Cloudinary photo cleanup completed`,
@@ -315,86 +493,5 @@ router.post('/cleanup-photos', async (req, res) => {
   }
 });
 
-// --------------------------------------------------
-// 7. DELETE ALL STUDENTS (DANGEROUS - Admin only)
-// --------------------------------------------------
-router.delete('/delete-all', async (req, res) => {
-  try {
-    console.log('⚠️ WARNING: Attempting to delete ALL students');
-    
-    // Get total count before deletion
-    const totalStudents = await Student.countDocuments();
-    
-    if (totalStudents === 0) {
-      return res.json({
-        success: true,
-        message: 'No students to delete',
-        deletedCount: 0
-      });
-    }
-    
-    // Fetch all students to get their photo public_ids
-    const allStudents = await Student.find({});
-    
-    // Delete all photos from Cloudinary first
-    let deletedPhotos = 0;
-    const deletePhotoPromises = allStudents.map(async (student) => {
-      if (student.photo_public_id) {
-        try {
-          await cloudinary.uploader.destroy(student.photo_public_id);
-          deletedPhotos++;
-        } catch (photoError) {
-          console.warn(`⚠️ Could not delete photo ${student.photo_public_id}:`, photoError.message);
-        }
-      }
-    });
-    
-    await Promise.allSettled(deletePhotoPromises);
-    
-    // Delete all students from database
-    const result = await Student.deleteMany({});
-    
-    console.log(`🗑️ Deleted ALL students: ${result.deletedCount} records`);
-    console.log(`🗑️ Deleted ${deletedPhotos} photos from Cloudinary`);
-    
-    res.json({
-      success: true,
-      message: `Deleted all ${result.deletedCount} students and ${deletedPhotos} photos`,
-      deletedCount: result.deletedCount,
-      deletedPhotos: deletedPhotos,
-      totalBefore: totalStudents
-    });
-    
-  } catch (error) {
-    console.error('❌ Error deleting all students:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: 'Failed to delete all students'
-    });
-  }
-});
-
-// --------------------------------------------------
-// 8. GET STUDENT STATISTICS
-// --------------------------------------------------
-router.get('/stats', async (req, res) => {
-  try {
-    const totalStudents = await Student.countDocuments();
-    const studentsWithPhotos = await Student.countDocuments({ has_photo: true });
-    
-    res.json({
-      success: true,
-      stats: {
-        totalStudents,
-        studentsWithPhotos,
-        studentsWithoutPhotos: totalStudents - studentsWithPhotos
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
 
 module.exports = router;
\ No newline at end of file
@@ -6,6 +6,10 @@ const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const Template = require('../models/Template');
+const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
+const auditService = require('../services/auditService');
+const trashService = require('../services/trashService');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -53,7 +57,7 @@ const upload = multer({
 });
 
 // ✅ GET all templates - SIMPLE WORKING VERSION
-router.get('/', async (req, res) => {
+router.get('/', authMiddleware, capabilityMiddleware('templates:read'), async (req, res) => {
   try {
     console.log('🔍 Fetching templates...');
     const templates = await Template.find().sort({ isDefault: -1, createdAt: -1 });
@@ -101,7 +105,7 @@ router.get('/', async (req, res) => {
 });
 
 // ✅ UPLOAD new template with Cloudinary - SIMPLE WORKING VERSION
-router.post('/upload', upload.fields([
+router.post('/upload', authMiddleware, capabilityMiddleware('templates:write'), upload.fields([
   { name: 'frontSide', maxCount: 1 },
   { name: 'backSide', maxCount: 1 }
 ]), async (req, res) => {
@@ -141,6 +145,24 @@ router.post('/upload', upload.fields([
       isDefault: setAsDefault === 'true'
     });
 
+    // Optional initial layout sent as JSON alongside the files
+    if (req.body.layout) {
+      let layout = req.body.layout;
+      if (typeof layout === 'string') {
+        try {
+          layout = JSON.parse(layout);
+        } catch (parseError) {
+          layout = null;
+        }
+      }
+      if (!layout || typeof layout !== 'object') {
+        const error = new Error('layout must be a JSON object with front and/or back element lists');
+        error.statusCode = 400;
+        throw error;
+      }
+      template.saveLayout(layout);
+    }
+
     console.log('💾 Saving template to DB...');
 
     // If set as default, unset other defaults
@@ -154,6 +176,14 @@ router.post('/upload', upload.fields([
     console.log('   ID:', template._id);
     console.log('   Front public_id:', template.frontSide.public_id);
     console.log('   Back public_id:', template.backSide.public_id);
+
+    await auditService.record(req, {
+      action: 'template.create',
+      entityType: 'template',
+      entityId: template._id,
+      entityLabel: template.name,
+      metadata: { isDefault: template.isDefault, layoutVersion: template.layout?.version }
+    });
     
     res.json({ 
       success: true, 
@@ -171,6 +201,10 @@ router.post('/upload', upload.fields([
         await cloudinary.uploader.destroy(req.files.backSide[0].filename);
       } catch (e) {}
     }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     
     res.status(500).json({ 
       success: false, 
@@ -180,8 +214,12 @@ router.post('/upload', upload.fields([
 });
 
 // ✅ SET default template
-router.patch('/:id/set-default', async (req, res) => {
+router.patch('/:id/set-default', authMiddleware, capabilityMiddleware('templates:write'), async (req, res) => {
   try {
+    if (!(await Template.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
     // Unset all defaults
     await Template.updateMany({ isDefault: true }, { $set: { isDefault: false } });
 
@@ -192,60 +230,130 @@ router.patch('/:id/set-default', async (req, res) => {
       { new: true }
     );
 
+    if (template) {
+      await auditService.record(req, {
+        action: 'template.set-default',
+        entityType: 'template',
+        entityId: template._id,
+        entityLabel: template.name
+      });
+    }
+
     res.json({ success: true, message: 'Default template updated', template });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ✅ DELETE Template with Cloudinary cleanup
-router.delete('/:id', async (req, res) => {
+// ✅ GET saved card layout (current or ?version=N)
+router.get('/:id/layout', authMiddleware, capabilityMiddleware('templates:read'), async (req, res) => {
   try {
     const template = await Template.findById(req.params.id);
     if (!template) {
       return res.status(404).json({ success: false, error: 'Template not found' });
     }
 
-    console.log('🗑️ Deleting template:', template.name);
-
-    // Delete files from Cloudinary
-    let deletedFiles = 0;
-    const deletePromises = [];
-
-    // Delete front side
-    if (template.frontSide && template.frontSide.public_id) {
-      deletePromises.push(
-        cloudinary.uploader.destroy(template.frontSide.public_id)
-          .then(result => {
-            if (result.result === 'ok') deletedFiles++;
-            console.log('✅ Deleted from Cloudinary:', template.frontSide.public_id);
-          })
-          .catch(err => console.warn('⚠️ Could not delete from Cloudinary:', err.message))
-      );
+    const layout = template.getLayoutVersion(req.query.version);
+    if (!layout) {
+      return res.status(404).json({ success: false, error: `Layout version ${req.query.version} not found` });
     }
 
-    // Delete back side
-    if (template.backSide && template.backSide.public_id) {
-      deletePromises.push(
-        cloudinary.uploader.destroy(template.backSide.public_id)
-          .then(result => {
-            if (result.result === 'ok') deletedFiles++;
-            console.log('✅ Deleted from Cloudinary:', template.backSide.public_id);
-          })
-          .catch(err => console.warn('⚠️ Could not delete from Cloudinary:', err.message))
-      );
+    res.json({
+      success: true,
+      layout,
+      versions: [
+        ...template.layoutHistory.map(entry => ({ version: entry.version, updatedAt: entry.updatedAt })),
+        { version: template.layout.version, updatedAt: template.layout.updatedAt }
+      ],
+      fields: Template.LAYOUT_FIELDS
+    });
+  } catch (error) {
+    console.error('❌ Error fetching layout:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ SAVE card layout (creates a new layout version)
+router.put('/:id/layout', authMiddleware, capabilityMiddleware('templates:write'), async (req, res) => {
+  try {
+    const { front, back } = req.body || {};
+
+    if (!Array.isArray(front) && !Array.isArray(back)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Layout must contain a front and/or back element list'
+      });
     }
 
-    // Wait for all deletions
-    await Promise.allSettled(deletePromises);
+    const template = await Template.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const previousVersion = template.layout?.version;
+    template.saveLayout({
+      front: Array.isArray(front) ? front : template.layout.front,
+      back: Array.isArray(back) ? back : template.layout.back
+    });
+    await template.save();
+    await auditService.record(req, {
+      action: 'template.layout-update',
+      entityType: 'template',
+      entityId: template._id,
+      entityLabel: template.name,
+      before: { layoutVersion: previousVersion },
+      after: { layoutVersion: template.layout.version }
+    });
+
+    console.log(`📐 Saved layout v${template.layout.version} for template: ${template.name}`);
+
+    res.json({
+      success: true,
+      message: `Layout saved as version ${template.layout.version}`,
+      layout: template.layout
+    });
+  } catch (error) {
+    console.error('❌ Error saving layout:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid layout',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ DELETE Template (moved to the trash; Cloudinary files are kept until purge)
+router.delete('/:id', authMiddleware, capabilityMiddleware('templates:delete'), async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
 
-    // Delete from database
-    await Template.findByIdAndDelete(req.params.id);
+    console.log('🗑️ Moving template to trash:', template.name);
+
+    // A trashed template can't stay the default; it comes back as a regular one
+    const wasDefault = template.isDefault;
+    template.isDefault = false;
+    await template.softDelete(req.user._id);
+
+    await auditService.record(req, {
+      action: 'template.delete',
+      entityType: 'template',
+      entityId: template._id,
+      entityLabel: template.name,
+      metadata: { wasDefault, purgeAt: trashService.purgeDateFor(template) }
+    });
 
     res.json({
       success: true,
-      message: `Template deleted successfully from cloud and database`,
-      deletedFiles: deletedFiles
+      message: 'Template moved to trash',
+      purgeAt: trashService.purgeDateFor(template)
     });
 
   } catch (error) {
@@ -255,7 +363,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // ✅ PREVIEW template image - SIMPLE WORKING VERSION
-router.get('/preview/:id', async (req, res) => {
+router.get('/preview/:id', authMiddleware, capabilityMiddleware('templates:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -314,7 +422,7 @@ router.get('/preview/:id', async (req, res) => {
 });
 
 // ✅ GET direct template URL with optimizations
-router.get('/url/:templateId/:side', async (req, res) => {
+router.get('/url/:templateId/:side', authMiddleware, capabilityMiddleware('templates:read'), async (req, res) => {
   try {
     const { templateId, side } = req.params;
     const template = await Template.findById(templateId);
@@ -0,0 +1,139 @@
+// routes/trash.js - Recycle bin: list, restore and purge soft-deleted records
+const express = require('express');
+const router = express.Router();
+const trashService = require('../services/trashService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
+
+// Each record type is managed with the capability that deletes it (students:delete, ...)
+const trashTypeAccess = async (req, res, next) => {
+  try {
+    const { capability } = trashService.getType(req.params.type);
+    if (!(await capabilityMiddleware.hasCapability(req, capability))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions',
+        missing: [capability]
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+const sendError = (res, error, label) => {
+  if (!error.statusCode) console.error(`❌ ${label}:`, error);
+  res.status(error.statusCode || 500).json({ success: false, error: error.message });
+};
+
+// ✅ GET trash summary (counts for the types you can manage)
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const capabilities = await capabilityMiddleware.loadCapabilities(req);
+    const types = Object.keys(trashService.types)
+      .filter(type => capabilities.includes(trashService.types[type].capability));
+
+    res.json({
+      success: true,
+      retentionDays: trashService.retentionDays,
+      counts: await trashService.countAll(types)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching trash summary');
+  }
+});
+
+// ✅ GET trashed records of one type (?batch=&page=&limit=)
+router.get('/:type', authMiddleware, trashTypeAccess, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const { items, total } = await trashService.list(req.params.type, { page, limit, batch: req.query.batch });
+
+    res.json({
+      success: true,
+      items,
+      retentionDays: trashService.retentionDays,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching trash');
+  }
+});
+
+// ✅ RESTORE one record
+router.post('/:type/:id/restore', authMiddleware, trashTypeAccess, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const record = await trashService.restore(type, id);
+    const label = trashService.types[type].label(record);
+    console.log(`♻️ ${req.user.username} restored ${type} ${label}`);
+
+    await auditService.record(req, {
+      action: `${type}.restore`,
+      entityType: type,
+      entityId: record._id,
+      entityLabel: label
+    });
+
+    res.json({ success: true, message: `Restored ${label}`, record });
+  } catch (error) {
+    sendError(res, error, 'Restore error');
+  }
+});
+
+// ✅ RESTORE everything from one bulk delete (batchId is returned by the delete-all endpoints)
+router.post('/:type/batches/:batchId/restore', authMiddleware, trashTypeAccess, async (req, res) => {
+  try {
+    const { type, batchId } = req.params;
+    const restored = await trashService.restoreBatch(type, batchId);
+    if (restored === 0) {
+      return res.status(404).json({ success: false, error: 'Nothing in the trash for this batch' });
+    }
+    console.log(`♻️ ${req.user.username} restored ${restored} ${type} record(s) from batch ${batchId}`);
+
+    await auditService.record(req, {
+      action: `${type}.restore-batch`,
+      entityType: type,
+      entityId: batchId,
+      metadata: { restored }
+    });
+
+    res.json({ success: true, message: `Restored ${restored} record(s)`, restored });
+  } catch (error) {
+    sendError(res, error, 'Batch restore error');
+  }
+});
+
+// ✅ PURGE one record now (permanent; removes its Cloudinary files)
+router.delete('/:type/:id', authMiddleware, trashTypeAccess, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const record = await trashService.findTrashed(type, id);
+    const { deletedAssets } = await trashService.purge(type, record);
+    const label = trashService.types[type].label(record);
+    console.log(`🗑️ ${req.user.username} purged ${type} ${label}`);
+
+    await auditService.record(req, {
+      action: `${type}.purge`,
+      entityType: type,
+      entityId: record._id,
+      entityLabel: label,
+      before: record,
+      metadata: { deletedAssets }
+    });
+
+    res.json({ success: true, message: `${label} permanently deleted`, deletedAssets });
+  } catch (error) {
+    sendError(res, error, 'Purge error');
+  }
+});
+
+module.exports = router;
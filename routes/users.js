@@ -0,0 +1,315 @@
+// routes/users.js - Staff account management (users:manage)
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const accountService = require('../services/accountService');
+const authTokenService = require('../services/authTokenService');
+const auditService = require('../services/auditService');
+const authMiddleware = require('../middleware/authMiddleware');
+const capabilityMiddleware = require('../middleware/capabilityMiddleware');
+
+// Only these fields can be edited through PUT /:id
+const pickProfileFields = (body = {}) => {
+  const data = {};
+  ['firstName', 'lastName', 'username', 'email', 'phone'].forEach(key => {
+    if (body[key] !== undefined) data[key] = body[key];
+  });
+  return data;
+};
+
+const handleSaveError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'A user with this email or username already exists'
+    });
+  }
+
+  console.error('❌ User management error:', error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+const toSafeUser = (user) => {
+  const data = user.toObject();
+  delete data.password;
+  return data;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ✅ GET users (?search=&role=&status=active|inactive)
+router.get('/', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role.toLowerCase();
+    if (req.query.status === 'active') filter.isActive = { $ne: false };
+    if (req.query.status === 'inactive') filter.isActive = false;
+
+    const search = (req.query.search || '').trim();
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }, { username: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(filter).select('-password').sort({ createdAt: -1 });
+    res.json({ success: true, users, total: users.length });
+  } catch (error) {
+    console.error('❌ Error fetching users:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ GET single user
+router.get('/:id', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('-password')
+      .populate('deactivatedBy', 'firstName lastName');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const sessions = await authTokenService.listActiveSessions(user._id);
+    res.json({ success: true, user, activeSessions: sessions.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ✅ CREATE user directly (invitations are preferred; this is for staff without email access)
+router.post('/', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const { firstName, lastName, username, email, password, role } = req.body || {};
+
+    if (!firstName || !lastName || !username || !email || !password || !role) {
+      return res.status(400).json({
+        success: false,
+        error: 'firstName, lastName, username, email, password and role are required'
+      });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const roleName = await accountService.assertCanGrantRole(role, await capabilityMiddleware.loadCapabilities(req));
+
+    const user = new User({
+      ...pickProfileFields(req.body),
+      password: await bcrypt.hash(password, 10),
+      role: roleName
+    });
+    await user.save();
+    console.log(`✅ ${req.user.username} created user ${user.username} (${user.role})`);
+    await auditService.record(req, {
+      action: 'user.create',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.username,
+      after: user
+    });
+
+    res.status(201).json({ success: true, message: 'User created', user: toSafeUser(user) });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+// ✅ UPDATE profile fields of a user
+router.put('/:id', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    // Changing an account's email or phone hands over its password resets
+    await accountService.assertCanGrantRole(user.role, await capabilityMiddleware.loadCapabilities(req));
+
+    const before = user.toObject();
+    Object.assign(user, pickProfileFields(req.body));
+    await user.save();
+    await auditService.record(req, {
+      action: 'user.update',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.username,
+      before,
+      after: user
+    });
+
+    res.json({ success: true, message: 'User updated', user: toSafeUser(user) });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+// ✅ CHANGE role
+router.patch('/:id/role', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const actorCapabilities = await capabilityMiddleware.loadCapabilities(req);
+    const roleName = await accountService.assertCanGrantRole((req.body || {}).role, actorCapabilities);
+    // Taking a role away also needs the access it grants
+    await accountService.assertCanGrantRole(user.role, actorCapabilities);
+    await accountService.assertKeepsAnAdmin(user, { newRole: roleName });
+
+    const previousRole = user.role;
+    user.role = roleName;
+    await user.save();
+    console.log(`🔁 ${req.user.username} changed ${user.username}'s role: ${previousRole} → ${roleName}`);
+    await auditService.record(req, {
+      action: 'user.role-change',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.username,
+      before: { role: previousRole },
+      after: { role: roleName }
+    });
+
+    res.json({
+      success: true,
+      message: `Role changed from ${previousRole} to ${roleName}`,
+      user: { id: user._id, username: user.username, role: user.role }
+    });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+// ✅ DEACTIVATE (soft; ends all sessions)
+router.patch('/:id/deactivate', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ success: false, error: 'You cannot deactivate your own account' });
+    }
+    if (user.isActive === false) {
+      return res.status(400).json({ success: false, error: 'User is already deactivated' });
+    }
+
+    await accountService.assertCanGrantRole(user.role, await capabilityMiddleware.loadCapabilities(req));
+    await accountService.assertKeepsAnAdmin(user, { deactivating: true });
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user._id;
+    user.deactivationReason = (req.body || {}).reason || '';
+    await user.save();
+
+    const revoked = await authTokenService.revokeAllForUser(user._id, { reason: 'admin', revokedBy: req.user._id });
+    console.log(`⛔ ${req.user.username} deactivated ${user.username}`);
+    await auditService.record(req, {
+      action: 'user.deactivate',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.username,
+      metadata: { reason: user.deactivationReason, revokedSessions: revoked }
+    });
+
+    res.json({ success: true, message: 'User deactivated', revokedSessions: revoked });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+// ✅ REACTIVATE
+router.patch('/:id/activate', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    await accountService.assertCanGrantRole(user.role, await capabilityMiddleware.loadCapabilities(req));
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    user.deactivatedBy = undefined;
+    user.deactivationReason = undefined;
+    await user.save();
+    await auditService.record(req, {
+      action: 'user.activate',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.username
+    });
+
+    res.json({ success: true, message: 'User reactivated' });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+// ✅ RESET another user's password: set one ({ password }) or send them a reset code
+router.post('/:id/reset-password', authMiddleware, capabilityMiddleware('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    await accountService.assertCanGrantRole(user.role, await capabilityMiddleware.loadCapabilities(req));
+
+    // Without a body a reset code is sent to the user
+    const { password, channel } = req.body || {};
+    if (!password) {
+      await accountService.requestPasswordReset({ email: user.email, channel }, req.ip);
+      await auditService.record(req, {
+        action: 'user.password-reset',
+        entityType: 'user',
+        entityId: user._id,
+        entityLabel: user.username,
+        metadata: { method: 'code' }
+      });
+      return res.json({ success: true, message: `Reset code sent to ${user.email}` });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters long'
+      });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    await user.save();
+    await authTokenService.revokeAllForUser(user._id, { reason: 'password-change', revokedBy: req.user._id });
+    console.log(`🔑 ${req.user.username} set a new password for ${user.username}`);
+    await auditService.record(req, {
+      action: 'user.password-reset',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.username,
+      metadata: { method: 'set' }
+    });
+
+    res.json({ success: true, message: 'Password reset; the user has been logged out everywhere' });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+module.exports = router;
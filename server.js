@@ -6,6 +6,11 @@ const path = require('path');
 
 const app = express();
 
+// Render.com runs behind one proxy; req.ip must be the client's for login throttling
+app.set('trust proxy', process.env.TRUST_PROXY !== undefined
+  ? (isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY))
+  : (process.env.NODE_ENV === 'production' ? 1 : false));
+
 // ==================== CORS CONFIGURATION ====================
 // Allowed origins for production and development
 const allowedOrigins = [
@@ -36,7 +41,7 @@ const corsOptions = {
     'Origin',
     'Access-Control-Allow-Headers'
   ],
-  exposedHeaders: ['Content-Disposition'], // For file downloads
+  exposedHeaders: ['Content-Disposition', 'X-Card-Serial', 'X-Total-Count'], // For file downloads
   maxAge: 86400, // 24 hours
 };
 
@@ -85,7 +90,27 @@ mongoose.connect(uri, {
   serverSelectionTimeoutMS: 5000,
   socketTimeoutMS: 45000,
 })
-.then(() => console.log('✅ MongoDB → CAP_mis connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB → CAP_mis connected successfully');
+
+  // Built-in roles must exist before anyone logs in
+  require('./models/Role').ensureDefaults()
+    .then(created => {
+      if (created > 0) console.log(`🔐 Seeded ${created} default role(s)`);
+    })
+    .catch(e => console.error('❌ Could not seed roles:', e.message));
+
+  // Batch card jobs don't survive a restart
+  require('./services/cardJobService').failInterruptedJobs()
+    .catch(e => console.error('❌ Could not recover card jobs:', e.message));
+
+  // Reminders and DOD alerts for students late back from leave
+  require('./services/overdueService').start();
+
+  // Trashed records are purged once their retention period is over
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, 6 * 60 * 60 * 1000).unref();
+})
 .catch(e => {
   console.error('❌ MongoDB connection error:', e.message);
   console.log('📌 Please check:');
@@ -94,6 +119,15 @@ mongoose.connect(uri, {
   console.log('   3. Are credentials correct in .env?');
 });
 
+function purgeExpiredTrash() {
+  require('./services/trashService').purgeExpired()
+    .then(purged => {
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+      if (total > 0) console.log('🗑️ Purged expired trash:', purged);
+    })
+    .catch(e => console.error('❌ Could not purge trash:', e.message));
+}
+
 // Connection events
 mongoose.connection.on('connected', () => {
   console.log('📊 MongoDB connection established');
@@ -135,22 +169,36 @@ app.get('/', (req, res) => {
     docs: '/api-docs', // You can add Swagger later
     endpoints: [
       '/api/auth',
+      '/api/roles',
+      '/api/invitations',
+      '/api/users',
       '/api/card',
       '/api/students',
       '/api/templates',
+      '/api/import-profiles',
       '/api/permissions',
-      '/api/analytics'
+      '/api/analytics',
+      '/api/audit',
+      '/api/trash',
+      '/api/gate'
     ]
   });
 });
 
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/users', require('./routes/users'));
 app.use('/api/card', require('./routes/card'));
 app.use('/api/students', require('./routes/student'));
 app.use('/api/templates', require('./routes/templates'));
+app.use('/api/import-profiles', require('./routes/importProfiles'));
 app.use('/api/permissions', require('./routes/permissions'));
 app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/gate', require('./routes/gate'));
 
 // Test routes (disable in production if needed)
 if (process.env.NODE_ENV !== 'production') {
@@ -204,6 +252,7 @@ app.listen(PORT, () => {
   // Log important environment variables (masked)
   console.log('📝 Configuration:');
   console.log(`   - MongoDB: ${process.env.MONGO_URI ? 'Configured' : 'Missing'}`);
+  console.log(`   - JWT secret: ${process.env.JWT_SECRET ? 'Configured' : 'Missing (logins will fail)'}`);
   console.log(`   - Cloudinary: ${process.env.CLOUDINARY_CLOUD_NAME ? 'Configured' : 'Missing'}`);
   console.log(`   - TextBee: ${process.env.TEXTBEE_API_KEY ? 'Configured' : 'Missing'}`);
 });
\ No newline at end of file
@@ -0,0 +1,231 @@
+// services/accountService.js - Staff accounts: invitations, password resets and admin checks
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Invitation = require('../models/Invitation');
+const PasswordReset = require('../models/PasswordReset');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const authTokenService = require('./authTokenService');
+const loginGuardService = require('./loginGuardService');
+const notificationService = require('./notificationService');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AccountService {
+  constructor() {
+    this.appBaseURL = (process.env.APP_BASE_URL || 'http://localhost:5173').replace(/\/$/, '');
+    this.inviteTtlHours = parseInt(process.env.INVITE_TTL_HOURS) || 72;
+    this.resetCodeTtlMinutes = parseInt(process.env.RESET_CODE_TTL_MINUTES) || 15;
+    this.resetCooldownSeconds = 60;
+  }
+
+  // ==================== ROLE GUARDS ====================
+
+  // Nobody can hand out access they don't have themselves; returns the normalized role name
+  async assertCanGrantRole(role, actorCapabilities) {
+    const roleName = (role || '').trim().toLowerCase();
+    if (!(await Role.exists({ name: roleName }))) {
+      throw httpError(400, `Unknown role "${role}"`);
+    }
+
+    const roleCapabilities = await Role.getCapabilities(roleName);
+    if (roleCapabilities.some(capability => !actorCapabilities.includes(capability))) {
+      throw httpError(403, 'You cannot grant a role with more access than your own');
+    }
+
+    return roleName;
+  }
+
+  // Roles granting full access ('*')
+  async getAdminRoleNames() {
+    return Role.find({ capabilities: '*' }).distinct('name');
+  }
+
+  // Refuses changes that would leave no active full-access user
+  async assertKeepsAnAdmin(user, { newRole, deactivating = false } = {}) {
+    const adminRoles = await this.getAdminRoleNames();
+    const isAdminNow = user.isActive !== false && adminRoles.includes(user.role);
+    const staysAdmin = !deactivating && adminRoles.includes(newRole || user.role);
+    if (!isAdminNow || staysAdmin) return;
+
+    const otherAdmins = await User.countDocuments({
+      _id: { $ne: user._id },
+      role: { $in: adminRoles },
+      isActive: { $ne: false }
+    });
+    if (otherAdmins === 0) {
+      throw httpError(400, 'This is the last active admin account. Make someone else an admin first.');
+    }
+  }
+
+  // ==================== INVITATIONS ====================
+
+  async createInvitation({ email, role, firstName, lastName, phone, channel = 'email' }, inviter, inviterCapabilities) {
+    if (!email || !role) {
+      throw httpError(400, 'email and role are required');
+    }
+    if (!['email', 'sms'].includes(channel)) {
+      throw httpError(400, 'channel must be email or sms');
+    }
+    if (channel === 'sms' && !phone) {
+      throw httpError(400, 'phone is required to invite by SMS');
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    if (await User.exists({ email: normalizedEmail })) {
+      throw httpError(400, 'A user with this email already exists');
+    }
+
+    const roleName = await this.assertCanGrantRole(role, inviterCapabilities);
+
+    // A new invitation replaces any earlier pending one for the same address
+    await Invitation.updateMany(
+      { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      firstName,
+      lastName,
+      phone,
+      role: roleName,
+      tokenHash: authTokenService.hashToken(token),
+      expiresAt: new Date(Date.now() + this.inviteTtlHours * 60 * 60 * 1000),
+      invitedBy: inviter._id,
+      delivery: { channel }
+    });
+    await invitation.save();
+
+    const link = `${this.appBaseURL}/accept-invite?token=${token}`;
+    const inviterName = `${inviter.firstName} ${inviter.lastName}`.trim();
+
+    try {
+      await notificationService.send({
+        channel,
+        to: channel === 'sms' ? phone : normalizedEmail,
+        subject: 'You have been invited to CAP_mis',
+        text: channel === 'sms'
+          ? `${inviterName} invited you to CAP_mis. Create your account within ${this.inviteTtlHours}h: ${link}`
+          : `Hello${firstName ? ` ${firstName}` : ''},\n\n${inviterName} has invited you to CAP_mis as ${roleName}.\n\nCreate your account here (valid for ${this.inviteTtlHours} hours):\n${link}\n\nIf you were not expecting this, you can ignore this message.`
+      });
+      invitation.delivery.sentAt = new Date();
+    } catch (error) {
+      console.error('❌ Invitation delivery failed:', error.message);
+      invitation.delivery.error = error.message;
+    }
+    await invitation.save();
+
+    return invitation;
+  }
+
+  async findPendingInvitation(token) {
+    if (!token) return null;
+    const invitation = await Invitation.findOne({ tokenHash: authTokenService.hashToken(token) });
+    return invitation && invitation.getStatus() === 'pending' ? invitation : null;
+  }
+
+  // Atomically marks the invitation used so the same link can't create two accounts
+  async claimInvitation(token) {
+    return Invitation.findOneAndUpdate(
+      {
+        tokenHash: authTokenService.hashToken(token || ''),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async releaseInvitation(invitation) {
+    await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+  }
+
+  // ==================== PASSWORD RESET ====================
+
+  // Always resolves the same way so callers can't probe which accounts exist
+  async requestPasswordReset({ email, channel = 'email' }, requestIp) {
+    const user = email ? await User.findOne({ email: email.trim().toLowerCase(), isActive: { $ne: false } }) : null;
+    if (!user) return;
+
+    const deliverBySms = channel === 'sms' && user.phone;
+    const recent = await PasswordReset.findOne({
+      user: user._id,
+      createdAt: { $gt: new Date(Date.now() - this.resetCooldownSeconds * 1000) }
+    });
+    if (recent) return;
+
+    // Only the newest code is valid
+    await PasswordReset.deleteMany({ user: user._id, usedAt: null });
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    await PasswordReset.create({
+      user: user._id,
+      codeHash: authTokenService.hashToken(`${user._id}:${code}`),
+      expiresAt: new Date(Date.now() + this.resetCodeTtlMinutes * 60 * 1000),
+      channel: deliverBySms ? 'sms' : 'email',
+      requestIp
+    });
+
+    try {
+      await notificationService.send({
+        channel: deliverBySms ? 'sms' : 'email',
+        to: deliverBySms ? user.phone : user.email,
+        subject: 'CAP_mis password reset code',
+        text: `Your CAP_mis password reset code is ${code}. It expires in ${this.resetCodeTtlMinutes} minutes and can be used once. If you did not ask for it, ignore this message.`
+      });
+    } catch (error) {
+      console.error('❌ Password reset delivery failed:', error.message);
+    }
+  }
+
+  // Wrong codes are logged as failed logins so the per-IP throttle covers reset guesses too
+  async resetPassword({ email, code, newPassword }, req) {
+    if (!email || !code || !newPassword) {
+      throw httpError(400, 'email, code and newPassword are required');
+    }
+    if (newPassword.length < 6) {
+      throw httpError(400, 'New password must be at least 6 characters long');
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    const invalid = async () => {
+      await loginGuardService.log({ user, email, req, success: false, reason: 'bad-reset-code' });
+      return httpError(400, 'Invalid or expired reset code');
+    };
+    if (!user) throw await invalid();
+
+    const reset = await PasswordReset.claimAttempt(user._id);
+    if (!reset) throw await invalid();
+
+    const codeHash = authTokenService.hashToken(`${user._id}:${String(code).trim()}`);
+    if (!crypto.timingSafeEqual(Buffer.from(codeHash), Buffer.from(reset.codeHash))) {
+      throw await invalid();
+    }
+
+    // Claimed atomically so the same code can't reset the password twice
+    const claimed = await PasswordReset.findOneAndUpdate(
+      { _id: reset._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!claimed) throw await invalid();
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // Whoever had the old password loses every session
+    await authTokenService.revokeAllForUser(user._id, { reason: 'password-change', revokedBy: user._id });
+    console.log(`🔑 Password reset for ${user.email}`);
+
+    return user;
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,52 @@
+// services/auditService.js - Who did what, to which record, from where
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the log
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password', 'tokenHash', 'refreshTokenHash', 'previousTokenHash', 'codeHash', 'twoFactor', 'loginSecurity'];
+
+const toPlain = (value) => {
+  if (!value) return {};
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+class AuditService {
+  // Top-level fields whose value differs between two versions of a record
+  diff(before, after) {
+    const previous = toPlain(before);
+    const next = toPlain(after);
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+    return [...fields]
+      .filter(field => !IGNORED_FIELDS.includes(field))
+      .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+      .map(field => ({ field, before: previous[field], after: next[field] }));
+  }
+
+  // Writes an entry; failures are logged, never thrown, so auditing can't break the action.
+  // req supplies the actor, IP and user agent; pass actor explicitly for background work.
+  async record(req, { action, entityType, entityId, entityLabel, before, after, metadata, actor }) {
+    const user = actor || req?.user;
+
+    try {
+      return await AuditLog.create({
+        actor: user?._id,
+        actorName: user ? (user.username || `${user.firstName || ''} ${user.lastName || ''}`.trim() || String(user._id)) : 'system',
+        actorRole: user?.role,
+        action,
+        entityType,
+        entityId: entityId ? String(entityId) : undefined,
+        entityLabel,
+        changes: before || after ? this.diff(before, after) : [],
+        metadata,
+        ip: req?.ip || '',
+        userAgent: (req?.get?.('User-Agent') || '').slice(0, 300)
+      });
+    } catch (error) {
+      console.error(`❌ Could not write audit entry ${action}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new AuditService();
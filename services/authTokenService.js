@@ -0,0 +1,128 @@
+// services/authTokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class AuthTokenService {
+  constructor() {
+    this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  }
+
+  getSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET must be set to sign and verify login tokens');
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  // SHA-256 hex digest; one-time tokens and codes are stored only in this form
+  hashToken(token) {
+    return hashToken(token);
+  }
+
+  signAccessToken(user, session) {
+    return jwt.sign(
+      { id: user._id, role: user.role, sid: session._id },
+      this.getSecret(),
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  // Throws on invalid or expired tokens (jsonwebtoken errors)
+  verifyAccessToken(token) {
+    return jwt.verify(token, this.getSecret());
+  }
+
+  // Refresh tokens are "<sessionId>.<random>"; only the hash is stored
+  createRefreshToken(session) {
+    const token = `${session._id}.${crypto.randomBytes(32).toString('hex')}`;
+    return { token, hash: hashToken(token) };
+  }
+
+  // New login: a session plus its first access/refresh token pair
+  async startSession(user, req) {
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: 'pending',
+      userAgent: (req.get('User-Agent') || '').slice(0, 300),
+      ip: req.ip || '',
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+    });
+
+    const refresh = this.createRefreshToken(session);
+    session.refreshTokenHash = refresh.hash;
+    await session.save();
+
+    return this.buildTokenResponse(user, session, refresh.token);
+  }
+
+  // Swap a refresh token for a new pair. Returns null when the token can't be used.
+  async rotate(refreshToken, loadUser) {
+    const sessionId = (refreshToken || '').split('.')[0];
+    if (!/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) return null;
+
+    const hash = hashToken(refreshToken);
+    if (hash !== session.refreshTokenHash) {
+      // An already-rotated token was replayed: assume theft and end the session
+      if (hash === session.previousTokenHash) {
+        await this.revokeSession(session, { reason: 'token-reuse' });
+        console.warn(`⚠️ Refresh token reuse detected, session ${session._id} revoked`);
+      }
+      return null;
+    }
+
+    const user = await loadUser(session.user);
+    if (!user) return null;
+
+    const refresh = this.createRefreshToken(session);
+    session.previousTokenHash = session.refreshTokenHash;
+    session.refreshTokenHash = refresh.hash;
+    session.lastUsedAt = new Date();
+    await session.save();
+
+    return this.buildTokenResponse(user, session, refresh.token);
+  }
+
+  buildTokenResponse(user, session, refreshToken) {
+    return {
+      token: this.signAccessToken(user, session),
+      refreshToken,
+      sessionId: session._id,
+      expiresIn: this.accessTokenTtl,
+      refreshExpiresAt: session.expiresAt
+    };
+  }
+
+  async revokeSession(session, { reason, revokedBy } = {}) {
+    if (session.revokedAt) return session;
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    session.revokedBy = revokedBy;
+    return session.save();
+  }
+
+  // Ends every active session of a user, optionally keeping one (the caller's)
+  async revokeAllForUser(userId, { reason, revokedBy, exceptSessionId } = {}) {
+    const filter = { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason, revokedBy }
+    });
+    return result.modifiedCount;
+  }
+
+  listActiveSessions(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('-refreshTokenHash -previousTokenHash')
+      .sort({ lastUsedAt: -1 });
+  }
+}
+
+module.exports = new AuthTokenService();
@@ -0,0 +1,122 @@
+// services/cardJobService.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CardJob = require('../models/CardJob');
+
+class CardJobService {
+  constructor() {
+    this.queue = [];
+    this.running = false;
+    this.artifactDir = process.env.CARD_JOB_ARTIFACT_DIR || path.join(os.tmpdir(), 'cap-card-jobs');
+    this.artifactTtlHours = parseInt(process.env.CARD_JOB_ARTIFACT_TTL_HOURS) || 24;
+  }
+
+  // Queue a saved CardJob; handler(job) does the work and may update job.progress
+  enqueue(job, handler) {
+    this.queue.push({ job, handler });
+    setImmediate(() => this.drain());
+    return this.queue.length;
+  }
+
+  // Jobs run one at a time so a large intake can't starve the API
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+
+    while (this.queue.length > 0) {
+      const { job, handler } = this.queue.shift();
+
+      try {
+        job.status = 'running';
+        job.startedAt = new Date();
+        await job.save();
+
+        console.log(`⚙️ Card job ${job._id} started`);
+        await handler(job);
+
+        job.status = 'completed';
+        job.progress.stage = 'done';
+        console.log(`✅ Card job ${job._id} completed`);
+      } catch (error) {
+        console.error(`❌ Card job ${job._id} failed:`, error.message);
+        job.status = 'failed';
+        job.error = error.message;
+      }
+
+      job.finishedAt = new Date();
+      try {
+        await job.save();
+      } catch (saveError) {
+        console.error(`❌ Could not save card job ${job._id}:`, saveError.message);
+      }
+    }
+
+    this.running = false;
+    this.purgeExpiredArtifacts().catch(error => {
+      console.warn('⚠️ Card job artifact cleanup failed:', error.message);
+    });
+  }
+
+  getQueuePosition(jobId) {
+    const index = this.queue.findIndex(entry => entry.job._id.equals(jobId));
+    return index === -1 ? null : index + 1;
+  }
+
+  // Write the finished file to local disk (served only through the jobs API)
+  async saveArtifact(job, buffer, { extension, contentType }) {
+    await fs.promises.mkdir(this.artifactDir, { recursive: true });
+
+    const filename = `batch-id-cards-${job._id}.${extension}`;
+    const filePath = path.join(this.artifactDir, filename);
+    await fs.promises.writeFile(filePath, buffer);
+
+    job.artifact = {
+      path: filePath,
+      filename,
+      contentType,
+      bytes: buffer.length,
+      expiresAt: new Date(Date.now() + this.artifactTtlHours * 60 * 60 * 1000)
+    };
+
+    return job.artifact;
+  }
+
+  async purgeExpiredArtifacts() {
+    const expiredJobs = await CardJob.find({
+      'artifact.path': { $exists: true, $ne: null },
+      'artifact.expiresAt': { $lt: new Date() }
+    });
+
+    for (const job of expiredJobs) {
+      await fs.promises.rm(job.artifact.path, { force: true });
+      job.artifact.path = null;
+      await job.save();
+      console.log(`🗑️ Removed expired card job artifact: ${job.artifact.filename}`);
+    }
+
+    return expiredJobs.length;
+  }
+
+  // Queued input lives in memory, so jobs left over from a previous process can't resume
+  async failInterruptedJobs() {
+    const result = await CardJob.updateMany(
+      { status: { $in: ['queued', 'running'] } },
+      {
+        $set: {
+          status: 'failed',
+          error: 'Interrupted by server restart. Please resubmit the batch.',
+          finishedAt: new Date()
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`⚠️ Marked ${result.modifiedCount} interrupted card job(s) as failed`);
+    }
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new CardJobService();
@@ -0,0 +1,46 @@
+// services/cardTokenService.js
+const jwt = require('jsonwebtoken');
+
+class CardTokenService {
+  constructor() {
+    this.secret = process.env.CARD_TOKEN_SECRET || process.env.JWT_SECRET;
+    this.verifyBaseURL = (process.env.CARD_VERIFY_BASE_URL || 'http://localhost:5000/api/card/verify').replace(/\/$/, '');
+  }
+
+  getSecret() {
+    if (!this.secret) {
+      throw new Error('CARD_TOKEN_SECRET (or JWT_SECRET) must be set to sign card tokens');
+    }
+    return this.secret;
+  }
+
+  // Tamper-proof token printed on a card (no expiry: validity is checked on verify)
+  sign({ studentId, serialNumber }) {
+    return jwt.sign(
+      { sid: studentId.toString(), sn: serialNumber },
+      this.getSecret(),
+      { noTimestamp: true }
+    );
+  }
+
+  // Returns the decoded payload, or null when the token is forged or malformed.
+  // Cards printed before the issuance ledger carry a generation number instead of a serial.
+  verify(token) {
+    try {
+      const payload = jwt.verify(token, this.getSecret());
+      return {
+        studentId: payload.sid,
+        serialNumber: payload.sn || null,
+        generation: payload.gen
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  buildVerificationUrl(token) {
+    return `${this.verifyBaseURL}/${token}`;
+  }
+}
+
+module.exports = new CardTokenService();
@@ -0,0 +1,167 @@
+// services/gateService.js - Gate check-out / check-in, matched against permissions
+const mongoose = require('mongoose');
+const GateEvent = require('../models/GateEvent');
+const Permission = require('../models/Permission');
+const Student = require('../models/Student');
+const CardIssuance = require('../models/CardIssuance');
+const cardTokenService = require('./cardTokenService');
+const permissionWorkflowService = require('./permissionWorkflowService');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class GateService {
+  constructor() {
+    // Leaving this long before the approved departure time is flagged
+    this.earlyDepartureMinutes = parseInt(process.env.GATE_EARLY_DEPARTURE_MINUTES) || 60;
+  }
+
+  // ==================== IDENTIFYING THE STUDENT ====================
+
+  // A typed student_id, or whatever a scanner read off the card:
+  // the QR verification URL, the bare card token, or the barcode's student_id
+  async identify({ student_id, scan }) {
+    const warnings = [];
+    const scanned = (scan || '').toString().trim();
+
+    if (scanned) {
+      const token = scanned.includes('/verify/') ? scanned.split('/verify/').pop().split(/[?#]/)[0] : scanned;
+      const payload = cardTokenService.verify(token);
+
+      if (payload) {
+        const student = mongoose.Types.ObjectId.isValid(payload.studentId)
+          ? await Student.findById(payload.studentId)
+          : null;
+        if (!student) throw httpError(404, 'Card holder not found');
+
+        if (payload.serialNumber) {
+          const issuance = await CardIssuance.findOne({ serialNumber: payload.serialNumber, student: student._id });
+          const cardStatus = issuance ? issuance.getEffectiveStatus() : 'unknown';
+          if (cardStatus !== 'active') warnings.push(`Card ${payload.serialNumber} is ${cardStatus}`);
+        } else if (student.card_revoked) {
+          warnings.push('Card has been revoked');
+        } else if (payload.generation < (student.card_generation_count || 0)) {
+          // Cards printed before the issuance ledger: only the latest generation is valid
+          warnings.push('Card has been superseded by a newer card');
+        }
+
+        return { student, method: 'card-scan', cardSerial: payload.serialNumber || undefined, warnings };
+      }
+
+      // Barcodes carry the plain student ID
+      const student = await Student.findOne({ student_id: scanned });
+      if (!student) throw httpError(404, 'Card not recognised');
+      return { student, method: 'card-scan', warnings };
+    }
+
+    if (!student_id) throw httpError(400, 'student_id or scan is required');
+
+    const student = await Student.findOne({ student_id: String(student_id).trim() });
+    if (!student) throw httpError(404, 'Student not found');
+    return { student, method: 'manual', warnings };
+  }
+
+  // ==================== GATE EVENTS ====================
+
+  // Logs a student leaving; with an approved permission it becomes departed, without one the guard is warned
+  async checkOut(input, actor, { capabilities = [], note = '' } = {}) {
+    const { student, method, cardSerial, warnings } = await this.identify(input);
+    const at = new Date();
+
+    const approved = await Permission.find({ student: student._id, status: 'approved' }).sort({ departure: 1 });
+    // The permission whose leave hasn't ended yet, earliest first
+    const permission = approved.find(candidate => !candidate.returnDate || candidate.returnDate >= at) || null;
+
+    if (permission) {
+      if (permission.departure.getTime() - at.getTime() > this.earlyDepartureMinutes * 60 * 1000) {
+        warnings.push(`Leaving before the approved departure time (${permission.departure.toLocaleString()})`);
+      }
+      await permissionWorkflowService.transition(permission, 'departed', actor, { capabilities, note, at });
+    } else {
+      const [away, pending] = await Promise.all([
+        Permission.findOne({ student: student._id, status: 'departed' }),
+        Permission.findOne({ student: student._id, status: 'pending' })
+      ]);
+
+      if (away) {
+        warnings.push(`Already checked out on permission ${away.permissionNumber}`);
+      } else if (pending) {
+        warnings.push(`Permission ${pending.permissionNumber} has not been approved yet`);
+      } else if (approved.length > 0) {
+        warnings.push('The approved permission has already expired');
+      }
+      warnings.unshift('No approved permission: the student is leaving without permission');
+    }
+
+    const event = await GateEvent.create({
+      type: 'check-out',
+      student: student._id,
+      student_id: student.student_id,
+      permission: permission?._id,
+      withoutPermission: !permission,
+      method,
+      cardSerial,
+      warnings,
+      note,
+      recordedBy: actor._id,
+      at
+    });
+
+    return { event, student, permission, warnings };
+  }
+
+  // Logs a student coming back; the open permission is marked returned at the check-in time
+  async checkIn(input, actor, { capabilities = [], note = '' } = {}) {
+    const { student, method, cardSerial, warnings } = await this.identify(input);
+    const at = new Date();
+
+    const open = await Permission.find({ student: student._id, status: { $in: Permission.OUT_STATUSES } })
+      .sort({ departure: -1 });
+    // Prefer the leave the student actually checked out on; an approved one only counts once its
+    // departure has passed, so a future permission isn't used up by an unrelated return
+    const permission = open.find(candidate => candidate.status === 'departed') ||
+      open.find(candidate => candidate.status === 'approved' && candidate.departure <= at) ||
+      null;
+
+    if (permission) {
+      if (permission.status === 'approved') {
+        warnings.push('No check-out was logged for this permission');
+      }
+      if (permission.returnDate && permission.returnDate < at) {
+        const hoursLate = Math.floor((at - permission.returnDate) / HOUR_MS);
+        warnings.push(hoursLate > 0 ? `Returned ${hoursLate}h late` : 'Returned after the return time');
+      }
+      await permissionWorkflowService.transition(permission, 'returned', actor, { capabilities, note, at });
+    } else {
+      const lastOut = await GateEvent.findOne({ student: student._id }).sort({ at: -1 });
+      if (lastOut?.type === 'check-out' && lastOut.withoutPermission) {
+        warnings.push(`Returning from an absence without permission (left ${lastOut.at.toLocaleString()})`);
+      } else {
+        warnings.push('No open permission: the student was not recorded as away');
+      }
+    }
+
+    const event = await GateEvent.create({
+      type: 'check-in',
+      student: student._id,
+      student_id: student.student_id,
+      permission: permission?._id,
+      withoutPermission: !permission,
+      method,
+      cardSerial,
+      warnings,
+      note,
+      recordedBy: actor._id,
+      at
+    });
+
+    return { event, student, permission, warnings };
+  }
+}
+
+module.exports = new GateService();
@@ -0,0 +1,135 @@
+// services/loginGuardService.js - Login throttling, account lockout and the attempt log
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+
+// Wrong credentials; rejections by the throttle itself (locked, too fast, IP throttled) don't count
+const CREDENTIAL_FAILURES = ['bad-password', 'unknown-user', 'bad-2fa-code', 'bad-reset-code'];
+
+class LoginGuardService {
+  constructor() {
+    this.maxFailedAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+    this.lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+    this.maxLockMinutes = 24 * 60;
+    // Failures before an account has to wait between attempts (1s, 2s, 4s, ...)
+    this.delayAfterAttempts = 2;
+    this.ipWindowMinutes = 15;
+    this.maxIpFailures = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 30;
+  }
+
+  // ==================== CHECKS (before the password is looked at) ====================
+
+  // Too many wrong credentials from one address across any accounts
+  async checkIp(ip) {
+    const since = new Date(Date.now() - this.ipWindowMinutes * 60 * 1000);
+    const failures = await LoginAttempt.find({ ip, success: false, reason: { $in: CREDENTIAL_FAILURES }, createdAt: { $gt: since } })
+      .sort({ createdAt: 1 })
+      .select('createdAt')
+      .limit(this.maxIpFailures);
+
+    if (failures.length < this.maxIpFailures) return { blocked: false };
+
+    // Blocked until the oldest counted failure leaves the window
+    const retryAt = failures[0].createdAt.getTime() + this.ipWindowMinutes * 60 * 1000;
+    return { blocked: true, retryAfter: this.secondsUntil(retryAt) };
+  }
+
+  // { locked } while a lockout runs, { tooFast } during the progressive delay
+  checkAccount(user) {
+    const security = user.loginSecurity || {};
+    const now = Date.now();
+
+    if (security.lockedUntil && security.lockedUntil.getTime() > now) {
+      return { locked: true, retryAfter: this.secondsUntil(security.lockedUntil.getTime()) };
+    }
+
+    const delay = this.getDelaySeconds(security.failedAttempts || 0);
+    if (delay > 0 && security.lastFailedAt) {
+      const nextAllowed = security.lastFailedAt.getTime() + delay * 1000;
+      if (nextAllowed > now) {
+        return { tooFast: true, retryAfter: this.secondsUntil(nextAllowed) };
+      }
+    }
+
+    return { locked: false };
+  }
+
+  getDelaySeconds(failedAttempts) {
+    const extra = failedAttempts - this.delayAfterAttempts;
+    return extra > 0 ? Math.min(2 ** (extra - 1), 30) : 0;
+  }
+
+  // ==================== RECORDING ====================
+
+  // Counts a failure against the account (when known) and logs it; returns lock info
+  async recordFailure({ user, email, req, reason }) {
+    let lockedUntil = null;
+
+    if (user && ['bad-password', 'bad-2fa-code'].includes(reason)) {
+      // Atomic so parallel guesses can't slip past the limit
+      const updated = await User.findByIdAndUpdate(user._id, {
+        $inc: { 'loginSecurity.failedAttempts': 1 },
+        $set: { 'loginSecurity.lastFailedAt': new Date() }
+      }, { new: true });
+      const security = updated.loginSecurity;
+
+      if (security.failedAttempts >= this.maxFailedAttempts) {
+        const minutes = Math.min(this.lockMinutes * 2 ** (security.lockCount || 0), this.maxLockMinutes);
+        lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+        await User.updateOne({ _id: user._id }, {
+          $set: { 'loginSecurity.lockedUntil': lockedUntil, 'loginSecurity.failedAttempts': 0 },
+          $inc: { 'loginSecurity.lockCount': 1 }
+        });
+        console.warn(`🔒 Account ${user.email} locked for ${minutes} min after repeated failed logins`);
+      }
+    }
+
+    await this.log({ user, email, req, success: false, reason, lockedUntil });
+    return { lockedUntil, retryAfter: lockedUntil ? this.secondsUntil(lockedUntil.getTime()) : 0 };
+  }
+
+  async recordSuccess({ user, req }) {
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockCount': 0
+      },
+      $unset: {
+        'loginSecurity.lockedUntil': 1,
+        'loginSecurity.lastFailedAt': 1
+      }
+    });
+    await this.log({ user, email: user.email, req, success: true });
+  }
+
+  async unlock(userId) {
+    return User.findByIdAndUpdate(userId, {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockCount': 0
+      },
+      $unset: {
+        'loginSecurity.lockedUntil': 1,
+        'loginSecurity.lastFailedAt': 1
+      }
+    }, { new: true }).select('-password');
+  }
+
+  log({ user, email, req, success, reason, lockedUntil }) {
+    return LoginAttempt.create({
+      email: email || user?.email,
+      user: user?._id,
+      ip: req.ip || '',
+      userAgent: (req.get('User-Agent') || '').slice(0, 300),
+      success,
+      reason,
+      lockedUntil
+    }).catch(error => console.error('❌ Could not log login attempt:', error.message));
+  }
+
+  secondsUntil(timestamp) {
+    return Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+  }
+}
+
+module.exports = new LoginGuardService();
@@ -0,0 +1,92 @@
+// services/notificationService.js - Email/SMS delivery through a swappable transport
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const textbeeService = require('./textbeeService');
+
+// A transport is async ({ channel, to, subject, text }) => ({ success, ... })
+class NotificationService {
+  constructor() {
+    // 'live' sends real email (SMTP) and SMS (TextBee); 'console' and 'file' are for development
+    this.transportName = process.env.NOTIFY_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'live' : 'console');
+    this.outboxDir = process.env.NOTIFY_OUTBOX_DIR || path.join(os.tmpdir(), 'cap-outbox');
+    this.from = process.env.MAIL_FROM || 'CAP_mis <no-reply@cap-mis.local>';
+    this.mailer = null;
+
+    this.transports = {
+      console: (message) => this.sendToConsole(message),
+      file: (message) => this.sendToFile(message),
+      live: (message) => this.sendLive(message)
+    };
+  }
+
+  registerTransport(name, transport) {
+    this.transports[name] = transport;
+  }
+
+  async send({ channel = 'email', to, subject, text }) {
+    if (!to) {
+      throw new Error(`No ${channel === 'sms' ? 'phone number' : 'email address'} to send to`);
+    }
+
+    const transport = this.transports[this.transportName];
+    if (!transport) {
+      throw new Error(`Unknown notification transport "${this.transportName}"`);
+    }
+
+    return transport({ channel, to, subject, text });
+  }
+
+  async sendToConsole({ channel, to, subject, text }) {
+    console.log(`📨 [${channel.toUpperCase()} → ${to}]${subject ? ` ${subject}` : ''}\n${text}`);
+    return { success: true, transport: 'console' };
+  }
+
+  // One text file per message, handy for checking links and codes locally
+  async sendToFile({ channel, to, subject, text }) {
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+
+    const safeRecipient = to.replace(/[^a-zA-Z0-9@.+-]/g, '_');
+    const filePath = path.join(this.outboxDir, `${Date.now()}-${channel}-${safeRecipient}.txt`);
+    const body = [`Channel: ${channel}`, `To: ${to}`, subject ? `Subject: ${subject}` : null, '', text]
+      .filter(line => line !== null)
+      .join('\n');
+
+    await fs.promises.writeFile(filePath, body);
+    console.log(`📨 Notification written to ${filePath}`);
+    return { success: true, transport: 'file', path: filePath };
+  }
+
+  async sendLive({ channel, to, subject, text }) {
+    if (channel === 'sms') {
+      // TextBee reports failures in the result instead of throwing
+      const result = await textbeeService.sendSMS(to, text);
+      if (!result.success) throw new Error(result.error || 'SMS delivery failed');
+      return { ...result, transport: 'textbee' };
+    }
+
+    const info = await this.getMailer().sendMail({ from: this.from, to, subject, text });
+    return { success: true, transport: 'smtp', messageId: info.messageId };
+  }
+
+  getMailer() {
+    if (!this.mailer) {
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST must be set to send email');
+      }
+
+      this.mailer = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+    return this.mailer;
+  }
+}
+
+module.exports = new NotificationService();
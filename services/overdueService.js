@@ -0,0 +1,193 @@
+// services/overdueService.js - In-process worker that chases students who are late back from leave
+const Permission = require('../models/Permission');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const textbeeService = require('./textbeeService');
+const notificationService = require('./notificationService');
+
+const HOUR_MS = 60 * 60 * 1000;
+// A send that hasn't reported back by then (crashed worker) may be claimed again
+const CLAIM_MS = 10 * 60 * 1000;
+
+class OverdueService {
+  constructor() {
+    this.intervalMinutes = parseInt(process.env.OVERDUE_CHECK_MINUTES) || 15;
+    // How long after the return date the DOD is alerted
+    this.escalateAfterHours = parseFloat(process.env.OVERDUE_ESCALATE_HOURS) || 6;
+    // Staff roles alerted at the escalation stage
+    this.escalationRoles = (process.env.OVERDUE_ESCALATION_ROLES || 'dod').split(',').map(role => role.trim()).filter(Boolean);
+    // Sends per stage before a failing alert is given up on
+    this.maxAttempts = parseInt(process.env.OVERDUE_MAX_ATTEMPTS) || 3;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer || process.env.OVERDUE_WORKER === 'off') return;
+
+    this.timer = setInterval(() => this.runSafely(), this.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+    this.runSafely();
+    console.log(`⏰ Overdue worker checking every ${this.intervalMinutes} min (DOD alerted after ${this.escalateAfterHours}h)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  runSafely() {
+    return this.runOnce().catch(error => console.error('❌ Overdue check failed:', error.message));
+  }
+
+  // Permissions still out after their return date
+  findOverdue(now = new Date()) {
+    return Permission.find({
+      status: { $in: Permission.OUT_STATUSES },
+      returnDate: { $lt: now }
+    });
+  }
+
+  // One pass: remind guardians, then escalate what is past the grace period
+  async runOnce(now = new Date()) {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const overdue = await this.findOverdue(now);
+      const escalateBefore = new Date(now.getTime() - this.escalateAfterHours * HOUR_MS);
+      const sent = { reminders: 0, escalations: 0 };
+
+      for (const permission of overdue) {
+        if (await this.sendStage(permission, 'guardian-reminder', () => this.remindGuardian(permission))) {
+          sent.reminders++;
+        }
+        if (permission.returnDate < escalateBefore &&
+          await this.sendStage(permission, 'dod-escalation', () => this.escalate(permission, now))) {
+          sent.escalations++;
+        }
+      }
+
+      if (sent.reminders || sent.escalations) {
+        console.log(`⏰ Overdue permissions: ${overdue.length} (${sent.reminders} reminder(s), ${sent.escalations} escalation(s) sent)`);
+      }
+      return { overdue: overdue.length, ...sent };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Claims the stage atomically, sends it and stores the outcome. A stage is done once a send
+  // succeeds; failed ones are retried on the next runs until maxAttempts. Returns true when sent.
+  async sendStage(permission, stage, send) {
+    await Permission.updateOne(
+      { _id: permission._id, 'overdueAlerts.stage': { $ne: stage } },
+      { $push: { overdueAlerts: { stage, attempts: 0 } } }
+    );
+
+    const now = new Date();
+    const claimed = await Permission.updateOne(
+      {
+        _id: permission._id,
+        overdueAlerts: {
+          $elemMatch: {
+            stage,
+            success: { $ne: true },
+            attempts: { $not: { $gte: this.maxAttempts } },
+            $or: [{ claimedUntil: null }, { claimedUntil: { $lt: now } }]
+          }
+        }
+      },
+      {
+        $inc: { 'overdueAlerts.$.attempts': 1 },
+        $set: { 'overdueAlerts.$.sentAt': now, 'overdueAlerts.$.claimedUntil': new Date(now.getTime() + CLAIM_MS) }
+      }
+    );
+    if (claimed.modifiedCount === 0) return false;
+
+    let outcome;
+    try {
+      outcome = await send();
+    } catch (error) {
+      outcome = { success: false, error: error.message };
+    }
+
+    await Permission.updateOne(
+      { _id: permission._id, 'overdueAlerts.stage': stage },
+      {
+        $set: {
+          'overdueAlerts.$.channel': outcome.channel,
+          'overdueAlerts.$.recipients': outcome.recipients || [],
+          'overdueAlerts.$.success': !!outcome.success,
+          'overdueAlerts.$.messageId': outcome.messageId,
+          'overdueAlerts.$.error': outcome.error
+        },
+        $unset: { 'overdueAlerts.$.claimedUntil': 1 }
+      }
+    );
+    return !!outcome.success;
+  }
+
+  async remindGuardian(permission) {
+    const student = await Student.findById(permission.student).select('name student_id class parent_phone');
+    const phone = student?.parent_phone || permission.guardian?.phone;
+    if (!student || !phone) {
+      return { success: false, error: 'No guardian phone number' };
+    }
+
+    const result = await textbeeService.sendOverdueReminder(student, permission, phone);
+    return {
+      channel: 'sms',
+      recipients: [phone],
+      success: result.success,
+      messageId: result.batchId,
+      error: result.error
+    };
+  }
+
+  // SMS to staff with a phone number, email to the rest
+  async escalate(permission, now) {
+    const [student, staff] = await Promise.all([
+      Student.findById(permission.student).select('name student_id class'),
+      User.find({ role: { $in: this.escalationRoles }, isActive: { $ne: false } }).select('email phone firstName')
+    ]);
+    if (staff.length === 0) {
+      return { success: false, error: `No active ${this.escalationRoles.join('/')} account to alert` };
+    }
+
+    const hoursLate = Math.floor((now - permission.returnDate) / HOUR_MS);
+    const text = `Overdue return: ${student ? `${student.name} (${student.student_id}, ${student.class})` : 'unknown student'} ` +
+      `was due back ${permission.returnDate.toLocaleString()} and is ${hoursLate}h late. ` +
+      `Permission ${permission.permissionNumber}, destination: ${permission.destination}, ` +
+      `guardian: ${permission.guardian?.name || '-'} ${permission.guardian?.phone || ''}`.trim();
+
+    const recipients = [];
+    const errors = [];
+    for (const user of staff) {
+      const channel = user.phone ? 'sms' : 'email';
+      const to = user.phone || user.email;
+      try {
+        const result = await notificationService.send({
+          channel,
+          to,
+          subject: `Overdue return: ${permission.permissionNumber}`,
+          text
+        });
+        if (result.success === false) throw new Error(result.error || 'Delivery failed');
+        recipients.push(to);
+      } catch (error) {
+        errors.push(`${to}: ${error.message}`);
+      }
+    }
+
+    const channels = new Set(staff.map(user => (user.phone ? 'sms' : 'email')));
+    return {
+      channel: channels.size === 1 ? [...channels][0] : undefined,
+      recipients,
+      success: recipients.length > 0,
+      error: errors.length > 0 ? errors.join('; ') : undefined
+    };
+  }
+}
+
+module.exports = new OverdueService();
@@ -0,0 +1,172 @@
+// services/pdfSheetService.js
+const PDFDocument = require('pdfkit');
+
+// ISO/IEC 7810 ID-1 (CR80) card and A4 paper, in millimetres
+const CR80 = { width: 85.6, height: 53.98 };
+const A4 = { width: 210, height: 297 };
+
+const mm = (value) => value * 72 / 25.4;
+
+class PdfSheetService {
+  constructor() {
+    this.defaults = {
+      bleed: 3,          // mm of artwork beyond the trim line
+      gutter: 12,        // mm between trim lines of neighbouring cards
+      margin: 10,        // mm page margin
+      cropMarks: true,
+      duplex: 'long-edge' // 'long-edge' | 'short-edge' | 'none'
+    };
+  }
+
+  // Cards imposed on A4 sheets, each front sheet followed by its duplex-aligned back sheet.
+  // cards: [{ front: Buffer, back: Buffer }]
+  async buildSheetPdf(cards, options = {}) {
+    const settings = { ...this.defaults, ...options };
+    const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false });
+    const card = this.getCardSize(doc, cards);
+
+    const pageWidth = mm(A4.width);
+    const pageHeight = mm(A4.height);
+    const gutter = mm(settings.gutter);
+    const usableWidth = pageWidth - 2 * mm(settings.margin);
+    const usableHeight = pageHeight - 2 * mm(settings.margin);
+
+    const columns = Math.max(1, Math.floor((usableWidth + gutter) / (card.width + gutter)));
+    const rows = Math.max(1, Math.floor((usableHeight + gutter) / (card.height + gutter)));
+    const perSheet = columns * rows;
+
+    // Centre the grid so mirrored back positions line up with the fronts
+    const gridWidth = columns * card.width + (columns - 1) * gutter;
+    const gridHeight = rows * card.height + (rows - 1) * gutter;
+    const originX = (pageWidth - gridWidth) / 2;
+    const originY = (pageHeight - gridHeight) / 2;
+
+    const cellPosition = (column, row) => ({
+      x: originX + column * (card.width + gutter),
+      y: originY + row * (card.height + gutter)
+    });
+
+    for (let start = 0; start < cards.length; start += perSheet) {
+      const sheet = cards.slice(start, start + perSheet);
+
+      // Front sheet
+      doc.addPage({ size: 'A4', margin: 0 });
+      sheet.forEach((entry, index) => {
+        const position = cellPosition(index % columns, Math.floor(index / columns));
+        this.drawCard(doc, entry.front, position, card, settings);
+      });
+
+      if (settings.duplex === 'none') continue;
+
+      // Back sheet, mirrored for the flip edge
+      doc.addPage({ size: 'A4', margin: 0 });
+      sheet.forEach((entry, index) => {
+        let column = index % columns;
+        let row = Math.floor(index / columns);
+        const rotate = settings.duplex === 'short-edge';
+
+        if (rotate) {
+          row = rows - 1 - row;
+        } else {
+          column = columns - 1 - column;
+        }
+
+        this.drawCard(doc, entry.back, cellPosition(column, row), card, settings, rotate);
+      });
+    }
+
+    return this.toBuffer(doc);
+  }
+
+  // One card per page (front then back) sized for direct-to-card printers
+  async buildCardPerPagePdf(cards, options = {}) {
+    const settings = { ...this.defaults, bleed: 0, cropMarks: false, ...options };
+    const doc = new PDFDocument({ margin: 0, autoFirstPage: false });
+    const card = this.getCardSize(doc, cards);
+    const bleed = mm(settings.bleed);
+    const pageSize = [card.width + 2 * bleed, card.height + 2 * bleed];
+
+    for (const entry of cards) {
+      for (const image of [entry.front, entry.back]) {
+        if (!image) continue;
+        doc.addPage({ size: pageSize, margin: 0 });
+        this.drawCard(doc, image, { x: bleed, y: bleed }, card, settings);
+      }
+    }
+
+    return this.toBuffer(doc);
+  }
+
+  // CR80 trim size in points, portrait when the rendered artwork is portrait
+  getCardSize(doc, cards) {
+    const sample = cards.find(entry => entry.front);
+    const isPortrait = sample ? (() => {
+      const image = doc.openImage(sample.front);
+      return image.height > image.width;
+    })() : false;
+
+    return isPortrait
+      ? { width: mm(CR80.height), height: mm(CR80.width) }
+      : { width: mm(CR80.width), height: mm(CR80.height) };
+  }
+
+  drawCard(doc, image, { x, y }, card, settings, rotate = false) {
+    if (!image) return;
+
+    const bleed = mm(settings.bleed);
+
+    doc.save();
+    if (rotate) {
+      doc.rotate(180, { origin: [x + card.width / 2, y + card.height / 2] });
+    }
+
+    // Stretched copy fills the bleed area, exact copy sits on the trim box
+    if (bleed > 0) {
+      doc.image(image, x - bleed, y - bleed, {
+        width: card.width + 2 * bleed,
+        height: card.height + 2 * bleed
+      });
+    }
+    doc.image(image, x, y, { width: card.width, height: card.height });
+    doc.restore();
+
+    if (settings.cropMarks) {
+      this.drawCropMarks(doc, x, y, card, bleed);
+    }
+  }
+
+  // Short marks at each trim corner, starting just outside the bleed
+  drawCropMarks(doc, x, y, card, bleed) {
+    const offset = bleed + mm(0.5);
+    const length = mm(2.5);
+    const corners = [
+      [x, y, -1, -1],
+      [x + card.width, y, 1, -1],
+      [x, y + card.height, -1, 1],
+      [x + card.width, y + card.height, 1, 1]
+    ];
+
+    doc.save().lineWidth(0.25).strokeColor('#000000');
+    for (const [cornerX, cornerY, dirX, dirY] of corners) {
+      doc.moveTo(cornerX + dirX * offset, cornerY)
+        .lineTo(cornerX + dirX * (offset + length), cornerY)
+        .stroke();
+      doc.moveTo(cornerX, cornerY + dirY * offset)
+        .lineTo(cornerX, cornerY + dirY * (offset + length))
+        .stroke();
+    }
+    doc.restore();
+  }
+
+  toBuffer(doc) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+}
+
+module.exports = new PdfSheetService();
@@ -0,0 +1,111 @@
+// services/permissionRuleService.js - Conflict and abuse rules applied when permissions are created
+const mongoose = require('mongoose');
+const Permission = require('../models/Permission');
+const PermissionPolicy = require('../models/PermissionPolicy');
+
+// Leave that isn't finished yet
+const OPEN_STATUSES = ['pending', 'approved', 'departed'];
+// Counted towards the per-term limit (rejected and cancelled requests don't count)
+const COUNTED_STATUSES = ['pending', 'approved', 'departed', 'returned'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+class PermissionRuleService {
+  // The configured term containing the date, or the last fallbackTermDays days
+  termFor(policy, date) {
+    const term = policy.terms.find(range => range.start <= date && date <= range.end);
+    if (term) return { name: term.name, start: term.start, end: term.end };
+
+    return {
+      name: `last ${policy.fallbackTermDays} days`,
+      start: new Date(date.getTime() - policy.fallbackTermDays * DAY_MS),
+      end: date
+    };
+  }
+
+  // items: [{ student, departure, returnDate, override, overrideReason }] in request order.
+  // Returns rule violations (block creation) and flags per item index (saved on the permission).
+  async check(items, { canOverride = false, userId } = {}) {
+    const policy = await PermissionPolicy.getCurrent();
+    const violations = [];
+    const flags = items.map(() => []);
+    const earlier = [];
+
+    for (const [index, item] of items.entries()) {
+      // Items without a usable student or dates are already reported by the basic validation
+      if (!mongoose.isValidObjectId(item.student)) continue;
+
+      const studentId = String(item.student);
+      const departure = item.departure ? new Date(item.departure) : new Date();
+      const returnDate = new Date(item.returnDate);
+      if (isNaN(departure) || isNaN(returnDate)) continue;
+      const violate = (rule, message, extra = {}) => {
+        violations.push({ item: index + 1, rule, message, student: studentId, ...extra });
+      };
+
+      if (policy.requireReturnAfterDeparture && !(returnDate > departure)) {
+        violate('return-after-departure', 'Return date must be after the departure');
+      }
+
+      if (policy.blockOpenPermission) {
+        const open = await Permission.findOne({ student: item.student, status: { $in: OPEN_STATUSES } })
+          .select('permissionNumber status');
+        if (open) {
+          violate('open-permission', `Student already has a ${open.status} permission (${open.permissionNumber})`, {
+            permission: open.permissionNumber
+          });
+        } else if (earlier.some(previous => previous.studentId === studentId)) {
+          violate('open-permission', 'Student appears more than once in this request');
+        }
+      }
+
+      if (policy.blockExamPeriods) {
+        const exam = policy.examPeriods.find(period => departure <= period.end && returnDate >= period.start);
+        if (exam) {
+          const message = `Leave overlaps the exam period "${exam.name}" (${formatDate(exam.start)} to ${formatDate(exam.end)})`;
+          if (item.override && canOverride) {
+            flags[index].push({
+              rule: 'exam-period',
+              message,
+              overriddenBy: userId,
+              overrideReason: (item.overrideReason || '').trim()
+            });
+          } else {
+            violate('exam-period', message, {
+              overridable: true,
+              ...(item.override ? { error: 'Overriding exam periods needs the permissions:rules capability' } : {})
+            });
+          }
+        }
+      }
+
+      if (policy.maxPerTerm > 0) {
+        const term = this.termFor(policy, departure);
+        const stored = await Permission.countDocuments({
+          student: item.student,
+          status: { $in: COUNTED_STATUSES },
+          departure: { $gte: term.start, $lte: term.end }
+        });
+        const inRequest = earlier.filter(previous =>
+          previous.studentId === studentId && previous.departure >= term.start && previous.departure <= term.end
+        ).length;
+        const total = stored + inRequest + 1;
+
+        if (total > policy.maxPerTerm) {
+          flags[index].push({
+            rule: 'per-term-limit',
+            message: `Permission ${total} this term (${term.name}); the limit is ${policy.maxPerTerm}`
+          });
+        }
+      }
+
+      earlier.push({ studentId, departure });
+    }
+
+    return { violations, flags };
+  }
+}
+
+module.exports = new PermissionRuleService();
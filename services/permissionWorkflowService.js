@@ -0,0 +1,125 @@
+// services/permissionWorkflowService.js - Permission lifecycle: which status changes are allowed and who may make them
+const Permission = require('../models/Permission');
+const Student = require('../models/Student');
+const textbeeService = require('./textbeeService');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Statuses each status may move to
+const TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  approved: ['departed', 'returned', 'cancelled'],
+  departed: ['returned'],
+  rejected: [],
+  returned: [],
+  cancelled: []
+};
+
+// Capability needed to move a permission into each status
+const REQUIRED_CAPABILITY = {
+  approved: 'permissions:approve',
+  rejected: 'permissions:approve',
+  cancelled: 'permissions:approve',
+  departed: 'permissions:mark-returned',
+  returned: 'permissions:mark-returned'
+};
+
+// A reason is required when a request is turned down or withdrawn
+const NOTE_REQUIRED = ['rejected', 'cancelled'];
+
+class PermissionWorkflowService {
+  constructor() {
+    this.TRANSITIONS = TRANSITIONS;
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  // Throws 400/409/403 when the change isn't allowed; requesters may cancel their own requests
+  assertTransition(permission, to, actor, capabilities) {
+    if (!Permission.STATUSES.includes(to)) {
+      throw httpError(400, `Invalid status. Allowed: ${Permission.STATUSES.join(', ')}`);
+    }
+    if (!this.canTransition(permission.status, to)) {
+      throw httpError(409, `Cannot change permission status from ${permission.status} to ${to}`);
+    }
+
+    const required = REQUIRED_CAPABILITY[to];
+    const ownRequest = to === 'cancelled' && permission.requestedBy && permission.requestedBy.equals(actor._id);
+    if (!ownRequest && !capabilities.includes(required)) {
+      const error = httpError(403, 'Insufficient permissions');
+      error.missing = [required];
+      throw error;
+    }
+  }
+
+  // Applies a status change made by actor and saves it; `at` backdates it (e.g. to a gate event)
+  async transition(permission, to, actor, { capabilities = [], note = '', at = new Date() } = {}) {
+    this.assertTransition(permission, to, actor, capabilities);
+
+    const trimmedNote = (note || '').trim();
+    if (NOTE_REQUIRED.includes(to) && !trimmedNote) {
+      throw httpError(400, `A reason is required when a permission is ${to}`);
+    }
+
+    permission.recordStatus(to, actor._id, trimmedNote, at);
+    await permission.save();
+
+    if (to === 'approved') {
+      await this.notifyApproved(permission);
+    }
+    if (to === 'returned') {
+      await this.notifyReturned(permission);
+    }
+
+    return permission;
+  }
+
+  // Tells the guardian the student has leave (once the permission is approved)
+  notifyApproved(permission) {
+    return this.notifyGuardian(permission, 'permissionCreated', textbeeService.sendPermissionCreated);
+  }
+
+  // Tells the guardian the student is back on campus
+  notifyReturned(permission) {
+    return this.notifyGuardian(permission, 'returnConfirmation', textbeeService.sendReturnConfirmation);
+  }
+
+  // Sends one of the textbee templates to the parent phone and stores the outcome
+  // under smsNotifications[kind]; SMS failures never fail the status change
+  async notifyGuardian(permission, kind, sendTemplate) {
+    const student = await Student.findById(permission.student).select('name student_id class parent_phone');
+    if (!student || !student.parent_phone) return null;
+
+    let smsResult;
+    try {
+      smsResult = await sendTemplate.call(textbeeService, student, permission, student.parent_phone);
+      permission.smsNotifications[kind] = {
+        sent: smsResult.success,
+        sentAt: new Date(),
+        messageId: smsResult.batchId || smsResult.messageId,
+        error: smsResult.error
+      };
+      permission.smsProvider = smsResult.demo ? 'demo' : 'textbee';
+      console.log(`📱 ${kind} SMS ${smsResult.success ? 'queued' : 'failed'} for ${student.name}`);
+    } catch (error) {
+      console.error(`❌ ${kind} SMS error for ${student.name}:`, error.message);
+      smsResult = { success: false, error: error.message };
+      permission.smsNotifications[kind] = {
+        sent: false,
+        sentAt: new Date(),
+        error: error.message
+      };
+    }
+
+    await permission.save();
+    return { ...smsResult, student: student.student_id };
+  }
+}
+
+module.exports = new PermissionWorkflowService();
@@ -0,0 +1,57 @@
+// services/studentExportService.js
+const ExcelJS = require('exceljs');
+const studentImportService = require('./studentImportService');
+
+// Import columns first (so files re-import as-is), then read-only status columns the importer ignores
+const EXPORT_COLUMNS = [...studentImportService.IMPORT_COLUMNS, 'has_photo', 'card_generated'];
+
+class StudentExportService {
+  constructor() {
+    this.EXPORT_COLUMNS = EXPORT_COLUMNS;
+  }
+
+  toRows(students) {
+    return students.map(student => Object.fromEntries(
+      EXPORT_COLUMNS.map(column => [column, student[column] ?? ''])
+    ));
+  }
+
+  toCSV(students) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [EXPORT_COLUMNS.join(',')];
+    this.toRows(students).forEach(row => {
+      lines.push(EXPORT_COLUMNS.map(column => escape(row[column])).join(','));
+    });
+
+    // BOM so Excel opens UTF-8 names correctly (the importer strips it)
+    return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n', 'utf-8');
+  }
+
+  async toXLSX(students, sheetName = 'Students') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(sheetName);
+
+    worksheet.columns = EXPORT_COLUMNS.map(column => ({
+      header: column,
+      key: column,
+      width: column === 'name' ? 30 : 16,
+      // Text format keeps leading zeros in IDs and phone numbers
+      style: { numFmt: '@' }
+    }));
+    worksheet.getRow(1).font = { bold: true };
+
+    this.toRows(students).forEach(row => {
+      worksheet.addRow(Object.fromEntries(
+        EXPORT_COLUMNS.map(column => [column, String(row[column])])
+      ));
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new StudentExportService();
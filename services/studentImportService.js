@@ -0,0 +1,212 @@
+// services/studentImportService.js
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+// Student fields read from import files, in the legacy (header-less) column order
+const IMPORT_COLUMNS = [
+  'student_id',
+  'name',
+  'class',
+  'level',
+  'residence',
+  'gender',
+  'academic_year',
+  'parent_phone'
+];
+
+// Header spellings recognised without a profile (compared after normalizeHeader)
+const HEADER_ALIASES = {
+  student_id: ['studentid', 'id', 'studentno', 'studentnumber', 'regno', 'regnumber', 'registrationnumber', 'admissionno', 'admissionnumber', 'matricule', 'code'],
+  name: ['name', 'names', 'fullname', 'studentname', 'nom', 'amazina'],
+  class: ['class', 'classname', 'classroom', 'stream', 'classe'],
+  level: ['level', 'grade', 'form', 'niveau'],
+  residence: ['residence', 'residencetype', 'boarding', 'dormitory', 'dorm', 'hostel'],
+  gender: ['gender', 'sex', 'sexe', 'igitsina'],
+  academic_year: ['academicyear', 'schoolyear', 'year', 'anneescolaire', 'session'],
+  parent_phone: ['parentphone', 'parentsphone', 'phone', 'phonenumber', 'parentcontact', 'guardianphone', 'parenttelephone', 'telephone', 'tel', 'mobile', 'contact']
+};
+
+// A header row must name student_id and name, or at least this many fields
+const MIN_HEADER_FIELDS = 3;
+
+// Cells with a run of digits (IDs, years, phone numbers, dates) are data, never headers
+const looksLikeData = (value) => /\d{2,}/.test((value || '').toString());
+
+class StudentImportService {
+  constructor() {
+    this.IMPORT_COLUMNS = IMPORT_COLUMNS;
+  }
+
+  // Parse a CSV or XLSX file into raw records (values as written, with 1-based row numbers)
+  async parseRecords(buffer, { filename, profile } = {}) {
+    const rows = this.isSpreadsheet(buffer, filename)
+      ? await this.readSpreadsheetRows(buffer, profile?.sheetName)
+      : this.readCSVRows(buffer);
+
+    const headerIndex = Math.max((profile?.headerRow || 1) - 1, 0);
+    const headerRow = rows.find(entry => entry.row === headerIndex + 1) || rows[0];
+    const headerMapping = headerRow ? this.mapHeaders(headerRow.values, profile) : null;
+
+    // Without recognisable headers fall back to the legacy fixed column order
+    const columnIndexes = headerMapping
+      ? headerMapping.indexes
+      : Object.fromEntries(IMPORT_COLUMNS.map((field, index) => [field, index]));
+    const dataRows = headerMapping
+      ? rows.filter(entry => entry.row > headerRow.row)
+      : rows;
+
+    const records = dataRows.map(({ row, values }) => {
+      const record = {};
+      for (const field of IMPORT_COLUMNS) {
+        const index = columnIndexes[field];
+        record[field] = index === undefined ? '' : (values[index] || '').trim();
+      }
+      return { row, record };
+    });
+
+    return {
+      records,
+      hasHeader: !!headerMapping,
+      columns: headerMapping ? headerMapping.columns : Object.fromEntries(IMPORT_COLUMNS.map((field, index) => [field, `column ${index + 1}`])),
+      missingColumns: IMPORT_COLUMNS.filter(field => columnIndexes[field] === undefined),
+      ignoredHeaders: headerMapping ? headerMapping.ignored : []
+    };
+  }
+
+  // Parse straight to Student data with import defaults applied
+  async parseStudents(buffer, options = {}) {
+    const { records } = await this.parseRecords(buffer, options);
+    return records.map(({ record }) => this.applyDefaults(record));
+  }
+
+  // Blank values get the same defaults the importer has always used (except student_id,
+  // which must come from the file)
+  applyDefaults(record) {
+    return {
+      student_id: record.student_id || '',
+      name: record.name || 'Unknown Student',
+      class: record.class || 'N/A',
+      level: record.level || 'N/A',
+      residence: record.residence || 'N/A',
+      gender: record.gender || 'N/A',
+      academic_year: record.academic_year || '2024',
+      parent_phone: record.parent_phone || ''
+    };
+  }
+
+  // Map header cells to Student fields; profile columns win over built-in aliases.
+  // Returns null when the row doesn't look like a header: a data value such as
+  // "Boarding" or "Male" also matches an alias, so one match isn't enough.
+  mapHeaders(headerValues, profile) {
+    const profileColumns = profile?.columns || {};
+    const indexes = {};
+    const columns = {};
+    const ignored = [];
+
+    headerValues.forEach((header, index) => {
+      const normalized = this.normalizeHeader(header);
+      if (!normalized) return;
+
+      const field =
+        IMPORT_COLUMNS.find(key => profileColumns[key] && this.normalizeHeader(profileColumns[key]) === normalized) ||
+        IMPORT_COLUMNS.find(key => !profileColumns[key] && (normalized === this.normalizeHeader(key) || HEADER_ALIASES[key].includes(normalized)));
+
+      if (field && indexes[field] === undefined) {
+        indexes[field] = index;
+        columns[field] = header.trim();
+      } else {
+        ignored.push(header.trim());
+      }
+    });
+
+    const mapped = Object.keys(indexes);
+    const namesStudent = indexes.student_id !== undefined && indexes.name !== undefined;
+    if (!namesStudent && mapped.length < MIN_HEADER_FIELDS) return null;
+    if (headerValues.some(looksLikeData)) return null;
+
+    return { indexes, columns, ignored };
+  }
+
+  normalizeHeader(header) {
+    return (header || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  isSpreadsheet(buffer, filename) {
+    if (filename && /\.xlsx$/i.test(path.extname(filename))) return true;
+    if (filename && /\.xls$/i.test(path.extname(filename))) {
+      throw new Error('Legacy .xls files are not supported. Save the sheet as .xlsx or .csv');
+    }
+    // XLSX files are ZIP archives ("PK" signature)
+    return buffer.length > 4 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+  }
+
+  // ✅ CSV ROWS (comma or semicolon separated, quoted fields supported)
+  readCSVRows(buffer) {
+    const csvString = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    const lines = csvString.split(/\r?\n/);
+    const firstLine = lines.find(line => line.trim()) || '';
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    return lines
+      .map((line, index) => ({ row: index + 1, line: line.trim() }))
+      .filter(entry => entry.line)
+      .map(entry => ({ row: entry.row, values: this.parseCSVLine(entry.line, delimiter) }));
+  }
+
+  // ✅ SIMPLE CSV LINE PARSER
+  parseCSVLine(line, delimiter = ',') {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      const nextChar = line[i + 1];
+
+      if (char === '"' && inQuotes && nextChar === '"') {
+        // Escaped quote
+        current += '"';
+        i++; // Skip next char
+      } else if (char === '"') {
+        // Quote
+        inQuotes = !inQuotes;
+      } else if (char === delimiter && !inQuotes) {
+        // Delimiter outside quotes = field delimiter
+        values.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    // Add last field
+    values.push(current.trim());
+    return values;
+  }
+
+  // ✅ XLSX ROWS (cell text as displayed in Excel)
+  async readSpreadsheetRows(buffer, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+    if (!worksheet) {
+      throw new Error(sheetName ? `Worksheet "${sheetName}" not found` : 'Workbook has no worksheets');
+    }
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      const values = [];
+      for (let column = 1; column <= row.cellCount; column++) {
+        values.push((row.getCell(column).text || '').toString());
+      }
+      if (values.some(value => value.trim())) {
+        rows.push({ row: rowNumber, values });
+      }
+    });
+
+    return rows;
+  }
+}
+
+module.exports = new StudentImportService();
@@ -127,6 +127,18 @@ class TextBeeService {
     return this.sendSMS(parentPhone, message);
   }
 
+  async sendOverdueReminder(student, permission, parentPhone) {
+    const message = `MWIRIWE NEZA ⚠️\n\n` +
+                   `Umwana Wanyu Witwa ${student.name}\n` +
+                   `Wiga: ${student.class}\n` +
+                   `Ntaragaruka mu ishuri.\n` +
+                   `Itariki yo kugaruka: ${new Date(permission.returnDate).toLocaleDateString('rw-RW')}\n` +
+                   `Numero y'uruhushya: ${permission.permissionNumber}\n\n` +
+                   `Ku Bindi Bisobanuro Mwavugisha DOD W'ikigo,  Murakoze.`;
+    
+    return this.sendSMS(parentPhone, message);
+  }
+
   async sendReturnConfirmation(student, permission, parentPhone) {
     const message = `MWIRIWE NEZA ✅\n\n` +
                    `Umwana Wanyu Witwa ${student.name}\n` +
@@ -0,0 +1,157 @@
+// services/trashService.js - Recycle bin for soft-deleted records and the purge after retention
+const crypto = require('crypto');
+const cloudinary = require('cloudinary').v2;
+const Student = require('../models/Student');
+const Template = require('../models/Template');
+const Permission = require('../models/Permission');
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+    // Cloudinary assets are only destroyed when a record is purged, never when it is trashed
+    this.types = {
+      student: {
+        model: Student,
+        capability: 'students:delete',
+        label: student => `${student.student_id} - ${student.name}`,
+        assets: student => [student.photo_public_id]
+      },
+      template: {
+        model: Template,
+        capability: 'templates:delete',
+        label: template => template.name,
+        assets: template => [template.frontSide?.public_id, template.backSide?.public_id]
+      },
+      permission: {
+        model: Permission,
+        capability: 'permissions:delete',
+        label: permission => permission.permissionNumber,
+        assets: () => []
+      }
+    };
+  }
+
+  getType(type) {
+    const config = this.types[type];
+    if (!config) {
+      throw httpError(400, `Unknown trash type. Allowed: ${Object.keys(this.types).join(', ')}`);
+    }
+    return config;
+  }
+
+  newBatchId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  purgeDateFor(record) {
+    return new Date(record.deletedAt.getTime() + this.retentionDays * DAY_MS);
+  }
+
+  // ==================== BROWSING ====================
+
+  async list(type, { page = 1, limit = 50, batch } = {}) {
+    const { model, label } = this.getType(type);
+    const filter = batch ? { deleteBatch: batch } : {};
+
+    const [records, total] = await Promise.all([
+      model.findDeleted(filter)
+        .populate('deletedBy', 'firstName lastName username')
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      model.countDocuments({ ...filter, deletedAt: { $ne: null } })
+    ]);
+
+    return {
+      total,
+      items: records.map(record => ({
+        id: record._id,
+        type,
+        label: label(record),
+        deletedAt: record.deletedAt,
+        deletedBy: record.deletedBy,
+        deleteBatch: record.deleteBatch,
+        purgeAt: this.purgeDateFor(record),
+        record
+      }))
+    };
+  }
+
+  async countAll(types = Object.keys(this.types)) {
+    const counts = await Promise.all(
+      types.map(type => this.types[type].model.countDocuments({ deletedAt: { $ne: null } }))
+    );
+    return Object.fromEntries(types.map((type, index) => [type, counts[index]]));
+  }
+
+  // ==================== RESTORING ====================
+
+  async findTrashed(type, id) {
+    const { model } = this.getType(type);
+    const record = await model.findOne({ _id: id, deletedAt: { $ne: null } });
+    if (!record) throw httpError(404, 'Record not found in trash');
+    return record;
+  }
+
+  async restore(type, id) {
+    const record = await this.findTrashed(type, id);
+    return record.restore();
+  }
+
+  // Everything trashed together by one bulk delete
+  async restoreBatch(type, batchId) {
+    const { model } = this.getType(type);
+    const result = await model.updateMany(
+      { deleteBatch: batchId, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1, deleteBatch: 1 } }
+    );
+    return result.modifiedCount;
+  }
+
+  // ==================== PURGING ====================
+
+  // Permanently removes a trashed record and its Cloudinary assets
+  async purge(type, record) {
+    const { model, assets } = this.getType(type);
+    let deletedAssets = 0;
+
+    for (const publicId of assets(record).filter(Boolean)) {
+      try {
+        await cloudinary.uploader.destroy(publicId);
+        deletedAssets++;
+      } catch (error) {
+        console.warn(`⚠️ Could not delete ${publicId} from Cloudinary:`, error.message);
+      }
+    }
+
+    await model.deleteOne({ _id: record._id, deletedAt: { $ne: null } });
+    return { deletedAssets };
+  }
+
+  // Purges everything trashed longer than the retention period
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS);
+    const purged = {};
+
+    for (const [type, { model }] of Object.entries(this.types)) {
+      const expired = await model.find({ deletedAt: { $ne: null, $lt: cutoff } });
+      for (const record of expired) {
+        await this.purge(type, record);
+      }
+      purged[type] = expired.length;
+    }
+
+    return purged;
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,165 @@
+// services/twoFactorService.js - TOTP (authenticator app) second factor and backup codes
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const Role = require('../models/Role');
+const authTokenService = require('./authTokenService');
+
+const STEP_SECONDS = 30;
+const BACKUP_CODE_COUNT = 10;
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.backupCodes';
+
+// Accept the previous and next 30s step to allow for clock drift
+const totp = authenticator.clone({ step: STEP_SECONDS, window: 1 });
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'CAP_mis';
+    this.challengeTtl = '5m';
+    this.SECRET_FIELDS = SECRET_FIELDS;
+  }
+
+  // ==================== POLICY ====================
+
+  // Full-access (admin) accounts must use 2FA unless REQUIRE_ADMIN_2FA=false
+  async isRequiredFor(user) {
+    if (process.env.REQUIRE_ADMIN_2FA === 'false') return false;
+    const capabilities = await Role.getCapabilities(user.role);
+    return capabilities.includes('*');
+  }
+
+  // ==================== LOGIN CHALLENGES ====================
+
+  // Short-lived proof that the password step passed.
+  // purpose: 'verify' (enter a code) or 'setup' (must enrol before getting a session)
+  signChallenge(user, purpose) {
+    return jwt.sign(
+      { id: user._id, purpose: `2fa-${purpose}` },
+      authTokenService.getSecret(),
+      { expiresIn: this.challengeTtl }
+    );
+  }
+
+  // Returns the user id, or null for a bad/expired token or wrong purpose
+  verifyChallenge(token, purpose) {
+    try {
+      const payload = jwt.verify(token || '', authTokenService.getSecret());
+      return payload.purpose === `2fa-${purpose}` ? payload.id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ==================== ENROLMENT ====================
+
+  // New pending secret; user must be loaded with SECRET_FIELDS and saved by the caller
+  async startSetup(user) {
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = this.encrypt(secret);
+
+    const otpauthUrl = totp.keyuri(user.email, this.issuer, secret);
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  // Confirms the pending secret with a code; returns the plain backup codes (shown once) or null
+  confirmSetup(user, code) {
+    if (!user.twoFactor.pendingSecret) return null;
+
+    const secret = this.decrypt(user.twoFactor.pendingSecret);
+    const step = this.matchStep(secret, code);
+    if (step === null) return null;
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    return this.regenerateBackupCodes(user);
+  }
+
+  disable(user) {
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = undefined;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.backupCodes = [];
+  }
+
+  regenerateBackupCodes(user) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    user.twoFactor.backupCodes = codes.map(code => this.hashBackupCode(code));
+    return codes;
+  }
+
+  // ==================== VERIFICATION ====================
+
+  // Accepts an authenticator code or an unused backup code (which is then used up).
+  // Returns 'totp', 'backup-code' or null; the caller saves the user.
+  verify(user, { code, backupCode }) {
+    if (!user.twoFactor?.enabled) return null;
+
+    if (code) {
+      const step = this.matchStep(this.decrypt(user.twoFactor.secret), code);
+      if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) return null;
+      user.twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+
+    if (backupCode) {
+      const hash = this.hashBackupCode(backupCode);
+      const index = (user.twoFactor.backupCodes || []).indexOf(hash);
+      if (index === -1) return null;
+      user.twoFactor.backupCodes.splice(index, 1);
+      return 'backup-code';
+    }
+
+    return null;
+  }
+
+  // Time step the code belongs to, or null
+  matchStep(secret, code) {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(token)) return null;
+
+    const delta = totp.checkDelta(token, secret);
+    if (delta === null) return null;
+    return Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  }
+
+  hashBackupCode(code) {
+    return authTokenService.hashToken(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''));
+  }
+
+  // ==================== SECRET STORAGE ====================
+
+  getKey() {
+    const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || authTokenService.getSecret();
+    return crypto.createHash('sha256').update(`2fa:${material}`).digest();
+  }
+
+  // AES-256-GCM, stored as iv.tag.ciphertext (base64)
+  encrypt(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decrypt(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = new TwoFactorService();